@@ -56,4 +56,9 @@ module.exports = dir => [{
     output: output("Dataframe", dir),
     external,
     plugins: plugins("Dataframe")
+}, {
+    input: {"VizabiWorker": path.resolve(__dirname, 'src', 'core', 'worker', 'worker_entry.js')},
+    output: output("VizabiWorker", dir),
+    external,
+    plugins: plugins("VizabiWorker")
 }]
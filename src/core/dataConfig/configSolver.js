@@ -42,6 +42,8 @@ function encodingSolution(dataConfig, markerSpaceCfg, usedConcepts = []) {
 
     if (dataConfig.isConstant) {
         result = { concept: undefined, space: undefined };
+    } else if (dataConfig.isExpression) {
+        result = expressionSolution(dataConfig, markerSpaceCfg);
     } else if (needsSpaceAutoCfg(dataConfig)) {
         result = findSpaceAndConcept(dataConfig, { usedConcepts, markerSpaceCfg });
     } else if (needsConceptAutoCfg(dataConfig)) {
@@ -60,6 +62,21 @@ function encodingSolution(dataConfig, markerSpaceCfg, usedConcepts = []) {
     return result;
 }
 
+/**
+ * The expression is used as concept. If space needs solving, it's solved to a space which has all fields the expression reads.
+ */
+function expressionSolution(dataConfig, markerSpaceCfg) {
+    const concept = dataConfig.expression;
+    if (needsSpaceAutoCfg(dataConfig)) {
+        const { fields } = dataConfig.compiledExpression;
+        return autoConfigSpace(dataConfig, { markerSpaceCfg }, space => {
+            return fields.every(field => dataConfig.isConceptAvailableInSpace(space, field)) && { concept, space };
+        });
+    }
+    const space = "space" in dataConfig.config ? dataConfig.config.space : dataConfig.defaults.space;
+    return { concept, space };
+}
+
 function findMarkerConfigForSpace(markerDataConfig, space) {
     let encodings = {};
     let usedConcepts = new Set();
@@ -275,7 +292,7 @@ function needsConceptAutoCfg(dataConfig) {
     const explicitNoConcept = "concept" in cfg && !cfg.concept;
     const isEncodingDataConfig = dataConfig.hasEncodingMarker;
     const usesDefaultSolving = !("concept" in cfg) && needsSolving(defaults.concept);
-    return !dataConfig.isConstant && !isReference(dataConfig.config.concept) && !explicitNoConcept && (needsSolving(cfg.concept)
+    return !dataConfig.isConstant && !dataConfig.isExpression && !isReference(dataConfig.config.concept) && !explicitNoConcept && (needsSolving(cfg.concept)
         || ((isEncodingDataConfig || isStandAloneDataConfig) && usesDefaultSolving));
 }
 
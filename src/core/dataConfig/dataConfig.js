@@ -6,6 +6,7 @@ import { fromPromise } from "mobx-utils";
 import { extent } from "../../dataframe/info/extent";
 import { unique } from "../../dataframe/info/unique";
 import { createKeyStr } from "../../dataframe/dfutils";
+import { compileExpression } from "../../dataframe/expression";
 import { configSolver } from "./configSolver";
 import { filterStore } from "../filter/filterStore";
 
@@ -22,6 +23,7 @@ dataConfig.nonObservable = function(config, parent, id) {
         defaults: {
             filter: null,
             constant: null,
+            expression: null,
             concept: { filter: { concept_type: "measure" } },
             space: { /* solve from data */ },
             value: null,
@@ -98,6 +100,8 @@ dataConfig.nonObservable = function(config, parent, id) {
             return resolveRef(this.configSolution.concept).value;
         },
         get conceptProps() { 
+            if (this.isExpression)
+                return this.expressionConceptProps;
             return this.concept && this.source.getConcept(this.concept) 
         },
         get constant() {
@@ -106,6 +110,24 @@ dataConfig.nonObservable = function(config, parent, id) {
         get isConstant() {
             return this.constant != null;
         },
+        get expression() {
+            return resolveRef(this.config.expression).value ?? this.defaults.expression;
+        },
+        get isExpression() {
+            return !this.isConstant && this.expression != null;
+        },
+        get compiledExpression() {
+            return compileExpression(this.expression);
+        },
+        // the expression itself is used as concept, so it names the column in the response
+        get expressionConceptProps() {
+            const type = this.compiledExpression.type;
+            return {
+                concept: this.expression,
+                name: this.expression,
+                concept_type: type == 'string' || type == 'boolean' ? 'string' : 'measure'
+            }
+        },
         get hasOwnData() {
             return !!(this.source && this.concept && !this.conceptInSpace);
         },
@@ -201,7 +223,10 @@ dataConfig.nonObservable = function(config, parent, id) {
             return query;
         },
         get ddfQuery() {    
-            return this.createQuery({ filter: [this.marker?.data?.filter, this.filter].filter(f => f != null) })
+            return this.createQuery({ 
+                concept: this.isExpression ? this.compiledExpression.fields : this.concept,
+                filter: [this.marker?.data?.filter, this.filter].filter(f => f != null) 
+            })
         },
         get response() {
             return this.responsePromise.value;
@@ -219,8 +244,14 @@ dataConfig.nonObservable = function(config, parent, id) {
             }
         },
         fetchResponse() {
-            const promise = this.source.query(this.ddfQuery)
-                .then(response => response.forKey(this.commonSpace));
+            const commonSpace = this.commonSpace;
+            let promise = this.source.query(this.ddfQuery)
+                .then(response => response.forKey(commonSpace));
+            if (this.isExpression) {
+                // lazy addColumn leaves the (cached) response of the source untouched
+                const { concept, compiledExpression } = this;
+                promise = promise.then(response => response.lazy().addColumn(concept, compiledExpression).collect());
+            }
             return fromPromise(promise);
         },
         disposers: [],
@@ -232,7 +263,7 @@ dataConfig.nonObservable = function(config, parent, id) {
                         if (space && space != this.config.space && !arrayEquals(space, this.marker.data.space)) {
                             this.config.space = space;
                         }
-                        if (concept && concept != this.config.concept) {
+                        if (concept && concept != this.config.concept && !this.isExpression) {
                             this.config.concept = concept;
                         }
                     },
@@ -39,7 +39,7 @@ entityPropertyDataConfig.nonObservable = function (cfg, parent) {
                 const { dim, data } = dimResponse;
                 const lookup = new Map();
                 lookups.set(dim, lookup);
-                for (const row of data.raw) {
+                for (const row of data.raw.values()) {
                     lookup.set(row[dim], row[concept]);
                 }
             });
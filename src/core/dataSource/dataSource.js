@@ -1,11 +1,11 @@
 import { fromPromise } from 'mobx-utils'
 import { assign, applyDefaults, deepclone, stableStringifyObject, concatUnique, sleep, lazyAsync, combineStates, createModel } from "../utils";
 import { configurable } from '../configurable';
-import { trace, observable, toJS } from 'mobx';
+import { trace, observable, computed, toJS } from 'mobx';
 import { dotToJoin, addExplicitAnd } from '../ddfquerytransform';
 import { DataFrame } from '../../dataframe/dataFrame';
-import { inlineReader } from '../../reader/inline/inline';
-import { csvReader } from '../../reader/csv/csv';
+import { createReader, hasReader } from '../../reader/registry';
+import { jsonFormat } from '../../reader/json/json';
 import { createKeyStr, isDataFrame } from '../../dataframe/dfutils';
 import { makeCache } from '../dataConfig/cache';
 
@@ -21,6 +21,9 @@ const defaultConfig = {
 
 export const type = "dataSource"
 
+// config which doesn't change what a reader reads. Locale is sent with queries and modelType only selects the reader, see readerName.
+const nonReaderConfig = ['locale', 'modelType'];
+
 export function dataSource(...args) {
     return createModel(dataSource, ...args)
 }
@@ -38,12 +41,38 @@ dataSource.nonObservable = function (config, parent, id) {
                 return typeof this.config.locale == "string" ? this.config.locale : this.config.locale.id; 
         },
         get dtypes() { return this.config.dtypes },
-        get reader() {
+        // policy for rows with the same key: 'error', 'first', 'last', 'merge' or a reducer like 'sum'
+        get duplicates() { return this.config.duplicates },
+        get readerName() {
+            if (this.config.reader)
+                return this.config.reader;
+            if (hasReader(this.config.modelType))
+                return this.config.modelType;
             if (this.values)
-                return inlineReader({ values: this.values, keyConcepts: this.keyConcepts, dtypes: this.dtypes });
-            else if (this.path)
-                return csvReader({ path: this.path, sheet: this.sheet, keyConcepts: this.keyConcepts, dtypes: this.dtypes });
-            console.warn("No inline values or csv path found. Please set `values` or `path` property on dataSource.", this)
+                return 'inline';
+            if (this.path?.endsWith('datapackage.json'))
+                return 'datapackage';
+            // any explicit format other than csv is read by the json reader, which rejects unknown formats
+            if (this.path && (this.config.format ? this.config.format != 'csv' : jsonFormat(this.path)))
+                return 'json';
+            if (this.path)
+                return 'csv';
+        },
+        get reader() {
+            if (!this.readerName) {
+                console.warn("No reader, inline values or csv path found. Please set `reader`, `values` or `path` property on dataSource.", this)
+                return;
+            }
+            return createReader(this.readerName, this.readerConfig);
+        },
+        get readerConfig() {
+            // reader gets plain config, including any reader specific options.
+            // Structurally compared, so only actual changes to what the reader reads recreate the reader and lose its caches.
+            const config = {};
+            for (const key of Object.keys(this.config))
+                if (!nonReaderConfig.includes(key))
+                    config[key] = toJS(this.config[key]);
+            return config;
         },
         get values() { 
             // toJS: don't want insides of data to be observable (adds overhead & complexity)
@@ -278,6 +307,7 @@ dataSource.decorate = {
     // to prevent config.values from becoming observable
     // possibly paints with too broad a brush, other config might need to be deep later
     config: observable.shallow,
+    readerConfig: computed.struct,
     // queue should be mutable by computed methods
     // this is introducing state manipulation and makes these computed methods impure
     // other solutions are welcome : )
@@ -1,19 +1,20 @@
 import { dataSource } from './dataSource'
 import { createStore } from '../genericStore'
-import { defaultDecorator } from '../utils'
+import { registerReader } from '../../reader/registry'
 
 export const dataSourceStore = createStore(dataSource);
 
+/**
+ * Register a reader object with an `init(config)` method, e.g. from vizabi-ddfcsv-reader, as reader `type` and add
+ * `type` as data source model type. Data sources select it through `modelType` or `reader` config. Also see `Vizabi.registerReader`.
+ */
 dataSourceStore.createAndAddType = function(type, readerObject) {
-    this.addType(type, defaultDecorator({
-        base: dataSource,
-        functions: {
-            get reader() {
-                // copy reader object (using original would only allow one datasource of this type)
-                const reader = Object.assign({}, readerObject);
-                reader.init(this.config || {})
-                return reader;
-            }
-        }
-    }));
+    registerReader(type, config => {
+        // copy reader object (using original would only allow one datasource of this type)
+        const reader = Object.assign({}, readerObject);
+        reader.init(config || {})
+        return reader;
+    });
+    // data source finds the reader by its modelType, see dataSource.readerName
+    this.addType(type, dataSource);
 }
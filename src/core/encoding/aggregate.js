@@ -1,6 +1,6 @@
 import { encoding } from './encoding';
 import { assign, defaultDecorator, filterObject } from '../utils';
-import { DataFrame } from '../../dataframe/dataFrame';
+import { aggregate as aggregateRows } from '../../dataframe/transforms/aggregate';
 import { pick } from '../../dataframe/dfutils';
 
 const defaultConfig = {
@@ -28,7 +28,7 @@ export const aggregate = defaultDecorator({
               return df;
             }
 
-            let result = DataFrame([], df.key);
+            const binnedRows = [];
             for (const row of df.rows()) {
                 // new grouped key
                 const newKeyObj = pick(row, df.key);
@@ -36,18 +36,20 @@ export const aggregate = defaultDecorator({
                     const groupSize = groupSizes[dim]['grouping'];
                     newKeyObj[dim] = Math.floor(+row[dim] / groupSize) * groupSize;
                 }
-                const keyStr = result.keyFn(newKeyObj);
-                // sum if group already exists, otherwise create
-                if (result.hasByStr(keyStr)) {
-                    const newRow = result.getByStr(keyStr);
-                    measures.forEach(measure => newRow[measure] += row[measure])
-                } else {
-                    const newRow = assign({}, row, newKeyObj);
-                    result.setByStr(keyStr, newRow)
-                }
+                binnedRows.push(assign({}, row, newKeyObj));
+            }
+
+            // measures as array are summed, as object they map measure to a reducer, e.g. { lex: { mean: { weight: 'pop' } } }
+            const measureReducers = Array.isArray(measures)
+              ? Object.fromEntries(measures.map(measure => [measure, 'sum']))
+              : Object.assign({}, measures);
+            // other fields keep their first value
+            for (const field of df.fields) {
+                if (!df.key.includes(field) && !(field in measureReducers))
+                    measureReducers[field] = 'first';
             }
-        
-            return result;
+
+            return aggregateRows(binnedRows, { by: df.key, measures: measureReducers });
         },
         get transformationFns() {
             return {
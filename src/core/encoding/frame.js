@@ -1,10 +1,10 @@
 import { encoding } from './encoding';
-import { action, observable, reaction, computed, trace } from 'mobx'
+import { action, observable, reaction, computed, trace, toJS } from 'mobx'
 import { FULFILLED } from 'mobx-utils'
-import { assign, applyDefaults, relativeComplement, configValue, parseConfigValue, inclusiveRange, combineStates, equals, createModel } from '../utils';
-import { DataFrameGroup } from '../../dataframe/dataFrameGroup';
+import { assign, applyDefaults, relativeComplement, configValue, parseConfigValue, inclusiveRange, combineStates, equals, createModel, isNonNullObject } from '../utils';
 import { createKeyFn } from '../../dataframe/dfutils';
 import { configSolver } from '../dataConfig/configSolver';
+import { runStep } from '../worker/steps';
 import { DataFrame } from '../../dataframe/dataFrame';
 import { extentOfOrdered } from '../../dataframe/info/extent';
 import { resolveRef } from '../config';
@@ -210,13 +210,29 @@ frame.nonObservable = function(config, parent, id) {
             return [this.name];
         },
     
+        /**
+         * Transforms as pipeline steps with serializable options, which can run in a worker. See `steps`.
+         */
+        get workerSteps() {
+            return {
+                'frameMap': () => this.frameMapStep,
+                'interpolate': () => this.interpolateStep,
+                'extrapolate': () => this.extrapolateStep
+            }
+        },
+
         // FRAMEMAP TRANSFORM
+        get frameMapStep() {
+            return { step: 'frameMap', options: {
+                name: this.name,
+                rowKeyDims: this.rowKeyDims,
+                conceptProps: toJS(this.data.conceptProps),
+                concept: this.data.concept,
+                completeMarkers: this.playEmptyFrames
+            } };
+        },
         frameMap(df) {
-            let frameMap = df.groupBy(this.name, this.rowKeyDims);
-            // reindex framemap - add missing frames within domain
-            // i.e. not a single defining encoding had data for these frame
-            // reindexing also sorts frames
-            return frameMap.reindexToKeyDomain(this.data.conceptProps);
+            return runStep(df, this.frameMapStep);
         },
         get rowKeyDims() {
             // remove frame concept from key if it's in there
@@ -226,18 +242,21 @@ frame.nonObservable = function(config, parent, id) {
 
         // interpolate transform
         get interpolate() { return this.config.interpolate ?? defaults.interpolate },
-        interpolateData(frameMap) {
-            if (frameMap.size == 0 || !this.interpolate) 
-                return frameMap;
-
-            const newFrameMap = frameMap.copy();
-            const encName = this.name;
-
-            return newFrameMap.interpolateOverMembers({ 
+        // interpolation method per encoding, e.g. { size: 'log', color: 'step' }, when interpolate config is an object
+        get interpolationMethods() {
+            return isNonNullObject(this.interpolate) ? Object.assign({}, this.interpolate) : {};
+        },
+        get interpolateStep() {
+            return { step: 'interpolate', options: {
+                enabled: !!this.interpolate,
                 fields: this.changeBetweenFramesEncodings,
-                ammendNewRow: row => row[this.data.concept] = row[encName]
-            });
-
+                methods: this.interpolationMethods,
+                concept: this.data.concept,
+                name: this.name
+            } };
+        },
+        interpolateData(frameMap) {
+            return runStep(frameMap, this.interpolateStep);
         },
         get changeBetweenFramesEncodings() {
             const enc = this.marker.encoding;
@@ -253,33 +272,27 @@ frame.nonObservable = function(config, parent, id) {
 
         // extrapolate transform
         get extrapolate() { return this.config.extrapolate ?? defaults.extrapolate },
-        extrapolateData(frameMap) {
-            if (frameMap.size == 0 || !this.extrapolate) 
-                return frameMap;
-
-            // find which indexes will be the first and last after marker.filterRequired transform
-            // needed to limit extrapolation to eventual filterRequired (feature request by Ola)
-            // can't extrapolate áfter filterRequired as some partially filled markers will already be filtered out
-            const hasDataForRequiredEncodings = frame => {
-                for (const marker of frame.values()) {
-                    if (this.marker.requiredEncodings.every(enc => marker[enc] != null)) {
-                        return true;
-                    }
-                }
-                return false;
-            }
-            const requiredExtentIndices = frameMap.keyExtentIndices({
-                filter: hasDataForRequiredEncodings
-            })
-
-            const encName = this.name;
-
-            return frameMap.extrapolateOverMembers({ 
+        // extrapolate config is a number of frames to extrapolate constant values over, or an object like
+        // { limit: 5, method: 'linear', points: 5 }, where method can also be an object with method per encoding
+        get extrapolateOptions() {
+            const { limit, method, points } = isNonNullObject(this.extrapolate) ? this.extrapolate : { limit: this.extrapolate };
+            return { 
+                sizeLimit: limit, 
+                method: isNonNullObject(method) ? Object.assign({}, method) : method, 
+                points 
+            };
+        },
+        get extrapolateStep() {
+            return { step: 'extrapolate', options: Object.assign({
+                enabled: !!this.extrapolate,
+                requiredEncodings: this.marker.requiredEncodings,
                 fields: this.changeBetweenFramesEncodings,
-                sizeLimit: this.extrapolate,
-                indexLimit: requiredExtentIndices,
-                ammendNewRow: row => row[this.data.concept] = row[encName]
-            });
+                concept: this.data.concept,
+                name: this.name
+            }, this.extrapolateOptions) };
+        },
+        extrapolateData(frameMap) {
+            return runStep(frameMap, this.extrapolateStep);
         },
 
         // CURRENTFRAME TRANSFORM
@@ -300,7 +313,11 @@ frame.nonObservable = function(config, parent, id) {
         getInterpolatedFrame(df, step, stepsAround) {
             const keys = Array.from(df.keys());
             const [before, after] = stepsAround.map(step => df.get(keys[step]));
-            return before.interpolateTowards(after, step % 1);
+            return before.interpolateTowards(after, step % 1, {
+                methods: this.interpolationMethods,
+                before: df.get(keys[stepsAround[0] - 1]),
+                after: df.get(keys[stepsAround[1] + 1])
+            });
         },
         get stepsAround() {
             return [Math.floor(this.step), Math.ceil(this.step)];
@@ -310,12 +327,13 @@ frame.nonObservable = function(config, parent, id) {
         },
     
         /*
-         * Compute the differential (stepwise differences) for the given field 
+         * Compute the differential (stepwise differences) per marker for the given field 
          * and return it as a new dataframe(group).
-         * NOTE: this requires that the given df is interpolated.
+         * Markers which are missing in frames are differentiated over the gap, interpolate first for stepwise differences.
          * USAGE: set a correct list of transformations on the __marker__
          * and then add/remove the string "differentiate" to the data of an 
-         * encoding in that marker. For example:
+         * encoding in that marker. The mode is set on the encoding: 
+         * "absolute" (default), "percent", "logDiff" or "cagr". For example:
          *   markers: {
          *      marker_destination: {
          *        encoding: {
@@ -323,7 +341,8 @@ frame.nonObservable = function(config, parent, id) {
          *             data: {
          *               concept: "displaced_population",
          *               transformations: ["differentiate"]
-         *             }
+         *             },
+         *             differentiate: { mode: "percent" }
          *           },
          *          ...
          *        },
@@ -337,23 +356,21 @@ frame.nonObservable = function(config, parent, id) {
          *        ]
          * 
          */
-        differentiate(df, xField) {
-            let prevFrame;
-            let result = DataFrameGroup([], df.key, df.descendantKeys);
-            for (let [yKey, frame] of df) {
-                const newFrame = frame.copy()
-                for(let [key, row] of newFrame) {
-                    const newRow = Object.assign({}, row);
-                    const xValue = row[xField];
-                    if (xValue !== undefined) {
-                        newRow[xField] = prevFrame ? xValue - prevFrame.getByStr(key)[xField] : 0;
-                    }
-                    newFrame.set(newRow, key);
-                }
-                prevFrame = frame;
-                result.set(yKey, newFrame);
-            }
-            return result;
+        differentiate(df, xField, options = {}) {
+            return df.type == 'Group'
+                ? df.differentiateOverMembers(xField, options)
+                : df.differentiate(xField, Object.assign({ orderBy: this.name, partitionBy: this.rowKeyDims }, options));
+        },
+
+        /*
+         * Index a field per marker to its value at a base frame, e.g. base "1990" makes every marker's value 100 in 1990.
+         * Base is configured like the frame value and defaults to the first frame. Used by marker.indexToFrame.
+         */
+        indexToFrame(df, field, { base, scale } = {}) {
+            base = base == null ? undefined : this.parseValue(base);
+            return df.type == 'Group'
+                ? df.indexToMember(field, { base: base === undefined ? undefined : { [this.name]: base }, scale })
+                : df.indexTo(field, { base, orderBy: this.name, partitionBy: this.rowKeyDims, scale });
         },
         get state() {
             const states = [this.data.state, this.data.source.conceptsPromise.state];
@@ -430,7 +447,10 @@ frame.splashMarker = function splashMarker(marker) {
     }
 }
 frame.decorate = {
-    changeBetweenFramesEncodings: computed.struct
+    changeBetweenFramesEncodings: computed.struct,
+    frameMapStep: computed.struct,
+    interpolateStep: computed.struct,
+    extrapolateStep: computed.struct
 }
 
 function markerWithFallback(marker, fallback) {
@@ -3,10 +3,11 @@ import { defaultDecorator, isString } from '../utils';
 
 const directions = {
     ascending: "ascending",
-    descending: "descencding"
+    descending: "descending"
 }
 const defaults = {
-    direction: directions.ascending
+    direction: directions.ascending,
+    nulls: "last"
 }
 
 export const order = defaultDecorator({
@@ -15,15 +16,30 @@ export const order = defaultDecorator({
         get direction() {
             return this.config.direction || defaults.direction;
         },
+        get nulls() {
+            return this.config.nulls || defaults.nulls;
+        },
+        // locale used to compare strings, e.g. "sv"
+        get collation() {
+            return this.config.collation;
+        },
+        // explicit order of values, e.g. ["africa", "asia", "americas", "europe"]
+        get values() {
+            return this.config.values ? [...this.config.values] : undefined;
+        },
         get transformFields() {
             return this.data.isConstant ? [] : [this.name];
         },
         order(df) {
             if (this.data.isConstant)
                 return df;
-            const name = this.name;
-            const direction = this.direction;
-            return df.order([{ [name]: direction }]);
+            return df.order([{ 
+                concept: this.name, 
+                direction: this.direction,
+                nulls: this.nulls,
+                collation: this.collation,
+                values: this.values
+            }]);
         },
         get transformationFns() {
             return {
@@ -1,4 +1,4 @@
-import { trace, computed, observable, toJS, autorun } from 'mobx';
+import { trace, computed, observable, toJS, autorun, action, reaction } from 'mobx';
 import { dataSourceStore } from '../dataSource/dataSourceStore'
 import { dataConfigStore } from '../dataConfig/dataConfigStore'
 import { assign, applyDefaults, isProperSubset, combineStates, relativeComplement, isString, isIterable, combineStatesSequential, createModel } from "../utils";
@@ -9,6 +9,9 @@ import { resolveRef, isReference } from '../config';
 import { configSolver } from '../dataConfig/configSolver';
 import { encodingCache } from './encodingCache';
 import { createKeyFn, isDataFrame } from '../../dataframe/dfutils';
+import { fromPromise } from 'mobx-utils';
+import { runStep } from '../worker/steps';
+import { getWorkerPipeline } from '../worker/workerPipeline';
 
 
 const defaultConfig = {
@@ -31,6 +34,9 @@ const defaults = {
     ]
 }
 
+// encoding transformations available on every encoding, enabled by adding e.g. "size.shareOfTotal" to marker transformations
+const encodingTransformations = ["window", "shareOfTotal", "indexToFrame", "perCapita"];
+
 export function marker(...args) {
     return createModel(marker, ...args);
 }
@@ -125,6 +131,8 @@ marker.nonObservable = function(config, parent, id) {
 
             const encodingStates = [...Object.values(this.encoding)].map(enc => () => enc.state);
             const states = [() => dataConfigSolverState, ...encodingStates];
+            if (this.workerPipeline)
+                states.push(() => this.pipelineState);
             return combineStatesSequential(states);
         },
         get availability() {
@@ -277,15 +285,78 @@ marker.nonObservable = function(config, parent, id) {
                 enc => this.encoding[enc].data.hasOwnData
             ); 
         },
+        get filterRequiredStep() {
+            return { step: 'filterRequired', options: { requiredEncodings: this.requiredEncodings } };
+        },
         filterRequired(data) {            
-            const required = this.requiredEncodings;
-            return data
-                .filterNullish(this.requiredEncodings)
-                .filterGroups(group => group.size > 0, true);
+            return runStep(data, this.filterRequiredStep);
         },
+        /**
+         * Differentiate an encoding along the frame dimension, per marker.
+         * Configured on the encoding, e.g. `x: { data: { transformations: ['differentiate'] }, differentiate: 'cagr' }`
+         * or `differentiate: { mode: 'percent' }`. See `differentiators` for modes, defaults to absolute.
+         */
         differentiate(xField, data) {
-            const frame = this.encoding.frame
-            return frame && this.encoding[xField] ? frame.differentiate(data, xField) : data
+            const frame = this.encoding.frame;
+            if (!frame || !this.encoding[xField])
+                return data;
+            const config = this.encoding[xField].config.differentiate;
+            const options = isString(config) ? { mode: config } : { mode: config?.mode };
+            return frame.differentiate(data, xField, options);
+        },
+        /**
+         * Window function on an encoding along the frame dimension, per marker. E.g. a moving average or rank.
+         * Configured on the encoding, e.g. `y: { data: { concept: 'gdp' }, window: { rollingMean: { size: 5 } } }`
+         * and enabled by adding "y.window" to marker transformations, e.g. after "frame.interpolate".
+         */
+        window(encName, data) {
+            const frame = this.encoding.frame;
+            const windowCfg = this.encoding[encName]?.config.window;
+            if (!frame || !windowCfg)
+                return data;
+            const [fnName, options = {}] = isString(windowCfg) ? [windowCfg] : Object.entries(windowCfg)[0];
+            const fields = { [encName]: { [fnName]: Object.assign({ field: encName }, options) } };
+            return data.type == 'Group'
+                ? data.window({ fields })
+                : data.window({ orderBy: frame.name, partitionBy: frame.rowKeyDims, fields });
+        },
+        /**
+         * Share of an encoding in the total over all markers in a frame, in percent.
+         * Optionally configured on the encoding, e.g. `size: { shareOfTotal: { groupBy: ['color'], scale: 1 } }` for fractions of the total per color.
+         */
+        shareOfTotal(encName, data) {
+            const frame = this.encoding.frame;
+            const { groupBy = [], scale } = this.encoding[encName]?.config.shareOfTotal ?? {};
+            return data.type == 'Group' || !frame
+                ? data.shareOfTotal(encName, { groupBy: [...groupBy], scale })
+                : data.shareOfTotal(encName, { groupBy: [frame.name, ...groupBy], scale });
+        },
+        /**
+         * Index an encoding per marker to its value at a base frame, which becomes 100. Base defaults to the first frame.
+         * Configured on the encoding, e.g. `y: { indexToFrame: "1990" }` or `y: { indexToFrame: { base: "1990", scale: 1 } }`.
+         */
+        indexToFrame(encName, data) {
+            const frame = this.encoding.frame;
+            if (!frame)
+                return data;
+            const config = this.encoding[encName]?.config.indexToFrame;
+            const options = isString(config) ? { base: config } : { base: config?.base, scale: config?.scale };
+            return frame.indexToFrame(data, encName, options);
+        },
+        /**
+         * Divide an encoding by another encoding, e.g. by an encoding with population data for per capita values.
+         * Configured on the encoding, e.g. `y: { perCapita: "pop" }` or `y: { perCapita: { encoding: "pop", scale: 1000 } }`.
+         */
+        perCapita(encName, data) {
+            const config = this.encoding[encName]?.config.perCapita;
+            const { encoding, scale } = isString(config) ? { encoding: config } : config ?? {};
+            if (!encoding)
+                return data;
+            if (!this.encoding[encoding]) {
+                console.warn(`Encoding "${encName}" is configured perCapita of encoding "${encoding}", which marker doesn't have.`, { marker: this });
+                return data;
+            }
+            return data.divideBy(encName, encoding, { scale });
         },
         /**
          * transformationFns is an object 
@@ -299,6 +370,8 @@ marker.nonObservable = function(config, parent, id) {
             };
             // encoding transformations
             for (let [name, enc] of Object.entries(this.encoding)) {
+                for (let tName of encodingTransformations)
+                    transformations[name + '.' + tName] = this[tName].bind(this, name);
                 if (enc.transformationFns)
                     for (let [tName, t] of Object.entries(enc.transformationFns))
                         transformations[name + '.' + tName] = t;
@@ -312,6 +385,33 @@ marker.nonObservable = function(config, parent, id) {
             }
             return transformations;
         },
+        /**
+         * workerSteps is an object
+         *  whose keys are transformation strings, like transformationFns, of transformations which can run in a worker
+         *  whose values are functions returning the pipeline step `{ step, options }`. See `steps`.
+         */
+        get workerSteps() {
+            const workerSteps = {
+                "filterRequired": () => this.filterRequiredStep
+            };
+            for (let [name, enc] of Object.entries(this.encoding)) {
+                if (enc.workerSteps)
+                    for (let [tName, step] of Object.entries(enc.workerSteps))
+                        workerSteps[name + '.' + tName] = step;
+            }
+            return workerSteps;
+        },
+        /**
+         * Pipeline running transformations in a worker, if marker config has `worker: true` and a worker is set with `setWorker`
+         */
+        get workerPipeline() {
+            if (!this.config.worker)
+                return undefined;
+            const pipeline = getWorkerPipeline();
+            if (!pipeline)
+                console.warn("Marker config has worker: true, but no worker is set. Running transformations on main thread.", { marker: this });
+            return pipeline;
+        },
         /**
          * Transformations is an array of strings, referring to transformations defined on the marker or encodings
          * The array defines the order in which data will be transformed before being served.
@@ -335,6 +435,7 @@ marker.nonObservable = function(config, parent, id) {
          *  whose keys are transformation strings or "final" and
          *  whose values are DataFrames wrapped in a boxed mobx computed. 
          *      The DataFrame is a result of the transformation function applied to the previous DataFrame.  
+         *  and whose `workerBatches` property has the boxed computed promises of transformations running in a worker.
          */
         // currently all transformation steps are cached in computed values. Computeds are great to prevent recalculations
         // of previous steps when config of one step changes. However, it uses memory. We might want this more configurable.
@@ -346,12 +447,28 @@ marker.nonObservable = function(config, parent, id) {
             // would be nice to find a way for transformedDataMaps to just return the value instead of a boxed computed
             const results = new Map();
             let stepResult = observable.box(this.dataMapCache, { deep: false });
-            this.transformations.forEach(({name, fn}) => {
+            const transformations = this.transformations;
+            const workerPipeline = this.workerPipeline;
+            const workerSteps = workerPipeline ? this.workerSteps : {};
+            results.workerBatches = [];
+            for (let i = 0; i < transformations.length; i++) {
+                if (transformations[i].name in workerSteps) {
+                    // consecutive worker transformations run in one message to the worker
+                    const batch = [];
+                    while (transformations[i]?.name in workerSteps) 
+                        batch.push(transformations[i++].name);
+                    i--;
+                    stepResult = this.workerBatch(stepResult, batch, workerSteps, workerPipeline, results);
+                    continue;
+                }
+                const { name, fn } = transformations[i];
                 let prevResult = stepResult; // local reference for closure of computed
                 stepResult = computed(
                     () => {
                         //trace();
                         const previous = prevResult.get();
+                        if (previous === undefined) // waiting for worker
+                            return undefined;
                         //const t0 = performance.now();
                         const result = fn(previous)
                         //const t1 = performance.now();
@@ -362,10 +479,48 @@ marker.nonObservable = function(config, parent, id) {
                     { name }
                 );
                 results.set(name, stepResult);
-            });
+            }
             results.set('final', stepResult);
             return results;
         },
+        /**
+         * Runs a batch of transformations in the worker. Adds a boxed computed per transformation to `results`,
+         * which is undefined until the worker returned its first result, and keeps the last result while pending.
+         * The boxed computed promise of the batch is added to `results.workerBatches`.
+         * @returns boxed computed of last transformation in batch
+         */
+        workerBatch(prevResult, names, workerSteps, workerPipeline, results) {
+            let lastPromise;
+            const batchPromise = computed(
+                () => {
+                    const previous = prevResult.get();
+                    if (previous === undefined) // waiting for previous batch
+                        return lastPromise = fromPromise(new Promise(() => {}), lastPromise);
+                    const steps = names.map(name => workerSteps[name]());
+                    // previous promise keeps its value while new one is pending
+                    return lastPromise = fromPromise(workerPipeline.run(previous, steps), lastPromise);
+                },
+                { name: names.join(',') }
+            );
+            results.workerBatches.push(batchPromise);
+            let stepResult;
+            names.forEach((name, i) => {
+                stepResult = computed(
+                    () => {
+                        const promise = batchPromise.get();
+                        if (promise.state == 'rejected')
+                            throw promise.value;
+                        return promise.value?.[i];
+                    },
+                    { name }
+                );
+                results.set(name, stepResult);
+            });
+            return stepResult;
+        },
+        get pipelineState() {
+            return combineStates(this.transformedDataMaps.workerBatches.map(batch => batch.get().state));
+        },
         /**
          * Helper function to get values from transformedDataMaps. Used to prevent the awkward `.get(name).get()` syntax.
          */
@@ -380,6 +535,40 @@ marker.nonObservable = function(config, parent, id) {
         get dataArray() {
             return this.dataMap?.toJSON();
         },
+        /**
+         * Diff between the previous and current dataMap, e.g. between frames during playback. See `DataFrame.diff`.
+         * Undefined while the marker is pending, e.g. while the pipeline runs in a worker.
+         */
+        get dataMapDiff() {
+            if (this.state != 'fulfilled') return undefined;
+            const dataMap = this.dataMap;
+            if (dataMap === undefined) return undefined;
+            return DataFrame.diff(this.previousDataMap ?? DataFrame([], dataMap.key), dataMap);
+        },
+        get previousDataMap() {
+            const { previous, current } = this.dataMapHistory;
+            // history is recorded by a reaction after dataMap changed, until then current is the previous dataMap
+            return current === this.dataMap ? previous : current;
+        },
+        dataMapHistory: { previous: undefined, current: undefined },
+        recordDataMap: action(function(dataMap) {
+            if (dataMap !== undefined && dataMap !== this.dataMapHistory.current)
+                this.dataMapHistory = { previous: this.dataMapHistory.current, current: dataMap };
+        }),
+        disposers: [],
+        internalErrors: [],
+        onCreate() {
+            const dataMapHistoryDestruct = reaction(
+                () => this.state == 'fulfilled' ? this.dataMap : undefined,
+                dataMap => this.recordDataMap(dataMap),
+                {
+                    name: "record dataMap history",
+                    fireImmediately: true,
+                    onError: e => this.internalErrors.push(e)
+                }
+            );
+            this.disposers.push(dataMapHistoryDestruct);
+        },
         getDataMapByFrameValue(value) {
             const frame = this.encoding.frame;
             if (!frame) return this.dataMap;
@@ -400,6 +589,9 @@ marker.nonObservable = function(config, parent, id) {
         dispose() {
             // Need to dispose because reactions may not observe only locally. Through state -> dataConfig -> resolveRef they can indirectly observe stores.
             // https://mobx.js.org/reactions.html#mem-leak-example
+            for (const dispose of this.disposers) {
+                dispose();
+            }
             this.data.dispose();
             for (let enc of Object.values(this.encoding)) {
                 enc.dispose();
@@ -412,6 +604,7 @@ marker.nonObservable = function(config, parent, id) {
 
 marker.decorate = {
     encodingCache: observable.ref,
+    dataMapHistory: observable.ref,
     encodingByType: computed.struct,
     requiredEncodings: computed.struct
 }
\ No newline at end of file
@@ -1,6 +1,8 @@
 import { markerStore } from './marker/markerStore'
 import { encodingStore } from './encoding/encodingStore'
 import { dataSourceStore } from './dataSource/dataSourceStore'
+import { setWorker } from './worker/workerPipeline'
+import { registerReader } from '../reader/registry'
 import * as utils from './utils'
 import { observable } from 'mobx';
 import * as mobx from 'mobx';
@@ -49,6 +51,8 @@ vizabi.encoding = (cfg, id) => {
     cfg = observable(cfg);
     return encodingStore.create(cfg, null, id);
 }
+vizabi.setWorker = setWorker;
+vizabi.registerReader = registerReader;
 vizabi.disposeAll = () => {
     for (let storeName in stores) {
         stores[storeName].disposeAll();
@@ -0,0 +1,89 @@
+import { inclusiveRange } from "../utils";
+
+/**
+ * Pipeline steps which can run in a worker. Steps are pure functions of data and serializable options,
+ * the encodings calculate the options from their (observable) state on the main thread.
+ * Encodings use the same steps when the pipeline runs on the main thread.
+ */
+export const steps = {
+    frameMap(df, { name, rowKeyDims, conceptProps, concept, completeMarkers }) {
+        if (completeMarkers && df.size > 0 && df.key.includes(concept)) {
+            // every marker gets a row in every frame within the domain, also in frames without data,
+            // so interpolation and empty frames work for markers with multiple dimensions, e.g. geo, gender and age
+            const [start, stop] = df.extent(concept);
+            df = df.complete({ [concept]: inclusiveRange(start, stop, conceptProps) });
+            for (const row of df.values())
+                if (row[name] == null) row[name] = row[concept];
+        }
+        const frameMap = df.groupBy(name, rowKeyDims);
+        // reindex framemap - add missing frames within domain
+        // i.e. not a single defining encoding had data for these frame
+        // reindexing also sorts frames
+        return frameMap.reindexToKeyDomain(conceptProps);
+    },
+    interpolate(frameMap, { enabled, fields, methods, concept, name }) {
+        if (frameMap.size == 0 || !enabled)
+            return frameMap;
+
+        return frameMap.copy().interpolateOverMembers({
+            fields,
+            methods,
+            ammendNewRow: row => row[concept] = row[name]
+        });
+    },
+    extrapolate(frameMap, { enabled, requiredEncodings, fields, concept, name, sizeLimit, method, points }) {
+        if (frameMap.size == 0 || !enabled)
+            return frameMap;
+
+        // find which indexes will be the first and last after marker.filterRequired transform
+        // needed to limit extrapolation to eventual filterRequired (feature request by Ola)
+        // can't extrapolate áfter filterRequired as some partially filled markers will already be filtered out
+        const hasDataForRequiredEncodings = frame => {
+            for (const marker of frame.values()) {
+                if (requiredEncodings.every(enc => marker[enc] != null)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+        const requiredExtentIndices = frameMap.keyExtentIndices({
+            filter: hasDataForRequiredEncodings
+        })
+
+        return frameMap.extrapolateOverMembers({
+            fields,
+            indexLimit: requiredExtentIndices,
+            ammendNewRow: row => row[concept] = row[name],
+            sizeLimit,
+            method,
+            points
+        });
+    },
+    filterRequired(data, { requiredEncodings }) {
+        return data
+            .filterNullish(requiredEncodings)
+            .filterGroups(group => group.size > 0, true);
+    }
+}
+
+/**
+ * Run a step
+ * @param {*} data DataFrame or DataFrameGroup
+ * @param {Object} step `{ step: name, options }`
+ */
+export function runStep(data, { step, options }) {
+    if (!(step in steps))
+        throw new Error(`Unknown pipeline step "${step}". Use one of: ${Object.keys(steps).join(', ')}.`);
+    return steps[step](data, options);
+}
+
+/**
+ * Run steps in sequence
+ * @returns {Array} result of every step
+ */
+export function runSteps(data, stepList) {
+    const results = [];
+    for (const step of stepList)
+        results.push(data = runStep(data, step));
+    return results;
+}
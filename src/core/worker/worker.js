@@ -0,0 +1,23 @@
+import { serialize, deserialize } from "../../dataframe/serialize";
+import { runSteps } from "./steps";
+
+/**
+ * Run pipeline steps for messages posted to `port`, e.g. `self` in a Web Worker or `parentPort` of `worker_threads`.
+ * Messages are `{ id, data, steps }`, with serialized data. Replies are `{ id, results }` with the serialized result of each step,
+ * or `{ id, error }` when a step throws.
+ * @param {*} port
+ */
+export function exposePipeline(port) {
+    const handle = ({ id, data, steps }) => {
+        try {
+            const results = runSteps(deserialize(data), steps).map(serialize);
+            port.postMessage({ id, results });
+        } catch (error) {
+            port.postMessage({ id, error: { message: error.message, stack: error.stack } });
+        }
+    }
+    if (typeof port.on == "function")
+        port.on('message', handle);
+    else
+        port.addEventListener('message', event => handle(event.data));
+}
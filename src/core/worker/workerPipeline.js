@@ -0,0 +1,81 @@
+import { serialize, deserialize } from "../../dataframe/serialize";
+
+let defaultPipeline;
+
+/**
+ * Run pipeline steps in a worker. Works with a Web Worker or a `worker_threads` Worker, which runs `exposePipeline`.
+ * When the worker fails, pending runs are rejected. When it exits or is terminated, later runs are rejected too.
+ * @param {Worker} worker
+ * @returns {Object} `{ run(data, steps): Promise<Array>, terminate() }`. `run` resolves to the result of every step.
+ */
+export function createWorkerPipeline(worker) {
+    let nextId = 0;
+    let failure;
+    const requests = new Map();
+
+    const rejectAll = (error, final) => {
+        if (final)
+            failure = error;
+        for (const { reject } of requests.values())
+            reject(error);
+        requests.clear();
+    }
+    const fail = (message, name, final) => {
+        const error = new Error(message);
+        error.name = name;
+        rejectAll(error, final);
+    }
+
+    const handle = ({ id, results, error }) => {
+        // requests are gone when rejected because worker failed or pipeline was terminated
+        if (!requests.has(id))
+            return;
+        const { resolve, reject } = requests.get(id);
+        requests.delete(id);
+        if (error) {
+            const workerError = new Error(error.message);
+            workerError.name = 'worker/error/step';
+            workerError.stack = error.stack;
+            reject(workerError);
+        } else {
+            resolve(results.map(deserialize));
+        }
+    }
+    if (typeof worker.on == "function") {
+        worker.on('message', handle);
+        worker.on('error', error => fail(`Worker failed: ${error.message}`, 'worker/error/failed'));
+        worker.on('exit', code => fail(`Worker exited with code ${code}`, 'worker/error/exited', true));
+    } else {
+        worker.addEventListener('message', event => handle(event.data));
+        worker.addEventListener('error', event => fail(`Worker failed: ${event.message}`, 'worker/error/failed'));
+    }
+
+    return {
+        run(data, steps) {
+            if (failure)
+                return Promise.reject(failure);
+            const id = nextId++;
+            return new Promise((resolve, reject) => {
+                requests.set(id, { resolve, reject });
+                worker.postMessage({ id, data: serialize(data), steps });
+            });
+        },
+        terminate() {
+            rejectAll(new Error('Worker pipeline terminated'), true);
+            return worker.terminate();
+        }
+    }
+}
+
+/**
+ * Set worker which runs the pipeline of markers with `worker: true` config. Pass nothing to unset.
+ * @param {Worker} worker
+ */
+export function setWorker(worker) {
+    defaultPipeline?.terminate();
+    defaultPipeline = worker ? createWorkerPipeline(worker) : undefined;
+}
+
+export function getWorkerPipeline() {
+    return defaultPipeline;
+}
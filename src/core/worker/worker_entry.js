@@ -0,0 +1,4 @@
+import { exposePipeline } from "./worker";
+
+// Web Worker entry for rollup. Expects d3 loaded in worker, e.g. with importScripts.
+exposePipeline(self);
@@ -2,27 +2,48 @@ import { order } from "./transforms/order";
 import { fullJoin } from "./transforms/fulljoin";
 import { MapStorage } from "./storage/map";
 import { LookupStorage } from "./storage/lookups";
+import { ColumnarStorage } from "./storage/columnar";
 import { copyColumn } from "./transforms/copycolumn";
 import { leftJoin } from "./transforms/leftjoin";
+import { innerJoin, semiJoin, antiJoin } from "./transforms/join";
 import { filter, filterNullish } from "./transforms/filter";
 import { project } from "./transforms/project";
 import { addColumn } from "./transforms/addColumn";
 import { groupBy } from "./transforms/group";
 import { interpolate } from "./transforms/interpolate";
-import { reindex } from "./transforms/reindex";
+import { reindex, complete } from "./transforms/reindex";
 import { fillNull } from "./transforms/fillnull";
 import { extent } from "./info/extent";
 import { unique } from "./info/unique";
+import { summary, histogram, quantile } from "./info/summary";
+import { diff } from "./info/diff";
+import { createIndex, dropIndex } from "./storage/indexes";
+import { LazyFrame } from "./lazyFrame";
 import { copy } from "./transforms/copy";
-import { differentiate } from "./transforms/differentiate"
+import { differentiate } from "./transforms/differentiate";
+import { divideBy, indexTo, shareOfTotal } from "./transforms/normalize";
 import { interpolateBetween } from "./transforms/interpolateBetween";
+import { aggregate } from "./transforms/aggregate";
+import { window as windowTransform } from "./transforms/window";
+import { pivot } from "./transforms/pivot";
+import { melt } from "./transforms/melt";
+
+const storageTypes = {
+    map: MapStorage,
+    columnar: ColumnarStorage
+}
 
 const fromLookups = (concepts, key) => constructDataFrame(LookupStorage(concepts, key));
-const fromArray = (data = [], key = data.key || []) => constructDataFrame(MapStorage(data, key));
+const fromArray = (data = [], key = data.key || [], { storage = 'map', duplicates } = {}) => {
+    if (!(storage in storageTypes))
+        throw new Error('Unknown DataFrame storage type: ' + storage);
+    return constructDataFrame(storageTypes[storage](data, key, { duplicates }));
+}
 
 export const DataFrame = fromArray;
 DataFrame.fromLookups = fromLookups;
 DataFrame.fromArray = fromArray;
+DataFrame.diff = diff;
 
 function constructDataFrame(storage) {
     // https://medium.com/javascript-scene/the-hidden-treasures-of-object-composition-60cd89480381
@@ -34,6 +55,9 @@ function constructDataFrame(storage) {
             // transforms
             order: (direction) => order(df, direction), 
             leftJoin: (joinParams) => leftJoin({ dataFrame: df }, joinParams),
+            innerJoin: (joinParams) => innerJoin({ dataFrame: df }, joinParams),
+            semiJoin: (joinParams) => semiJoin({ dataFrame: df }, joinParams),
+            antiJoin: (joinParams) => antiJoin({ dataFrame: df }, joinParams),
             fullJoin: (joinParams, key) => fullJoin([df, ...joinParams], key),
             copyColumn: (src, dest) => copyColumn(df, src, dest),
             filter: (filterObj) => filter(df, filterObj),
@@ -41,17 +65,33 @@ function constructDataFrame(storage) {
             project: (projection) => project(df, projection),
             addColumn: (name, value) => addColumn(df, name, value),
             groupBy: (groupKey, memberKey) => groupBy(df, groupKey, memberKey),
-            interpolate: () => interpolate(df),
-            interpolateTowards: (df2, mu) => interpolateBetween(df, df2, mu),
+            aggregate: (spec) => aggregate(df, spec),
+            window: (spec) => windowTransform(df, spec),
+            pivot: (params) => pivot(df, params),
+            melt: (params) => melt(df, params),
+            interpolate: (fields, methods) => interpolate(df, fields, methods),
+            interpolateTowards: (df2, mu, options) => interpolateBetween(df, df2, mu, options),
             reindex: (iterable) => reindex(df, iterable),
+            complete: (index) => complete(df, index),
             fillNull: (fillValues) => fillNull(df, fillValues),
             copy: () => copy(df),
-            differentiate: (xField) => differentiate(df, xField),
+            differentiate: (field, options) => differentiate(df, field, options),
+            shareOfTotal: (field, options) => shareOfTotal(df, field, options),
+            indexTo: (field, options) => indexTo(df, field, options),
+            divideBy: (field, divisor, options) => divideBy(df, field, divisor, options),
+            lazy: () => LazyFrame(df),
     
             // info
             extent: (concept, groupBy, groupSubset) => extent(df, concept, groupBy, groupSubset),
             unique: (concept) => unique(df, concept),
+            summary: (fields, options) => summary(df, fields, options),
+            histogram: (field, options) => histogram(df, field, options),
+            quantile: (field, p) => quantile(df, field, p),
             type: 'DataFrame',
+
+            // secondary indexes
+            createIndex: (field) => createIndex(df, field),
+            dropIndex: (field) => dropIndex(df, field),
         
             // export
             toJSON: () => [...df.values()]
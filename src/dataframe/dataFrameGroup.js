@@ -3,7 +3,10 @@ import { isDataFrame, createKeyFn, arrayEquals, pick } from "./dfutils";
 import { extent, extentIndicesOfGroupKey, extentOfGroupKey, extentOfGroupKeyPerMarker } from "./info/extent";
 import { extrapolateGroup } from "./transforms/extrapolate";
 import { interpolateGroup } from "./transforms/interpolate";
+import { differentiateGroup } from "./transforms/differentiate";
+import { indexToMember } from "./transforms/normalize";
 import { reindexGroup, reindexGroupToKeyDomain } from "./transforms/reindex";
+import { windowGroup } from "./transforms/window";
 
 /**
  * 
@@ -40,18 +43,28 @@ function createGroup(key, descendantKeys) {
     group.filterNullish = mapCall(group, "filterNullish");
     group.order = mapCall(group, "order");
     group.reindex = mapCall(group, "reindex");
+    group.complete = mapCall(group, "complete");
     group.interpolate = mapCall(group, "interpolate");
     group.extrapolate = mapCall(group, "extrapolate");
+    group.aggregate = mapCall(group, "aggregate");
     group.reindexGroup = index => reindexGroup(group, index);
     group.reindexToKeyDomain = keyConcept => reindexGroupToKeyDomain(group, keyConcept);
     group.interpolateOverMembers = options => interpolateGroup(group, options)
     group.extrapolateOverMembers = options => extrapolateGroup(group, options)
+    group.differentiateOverMembers = (field, options) => differentiateGroup(group, field, options)
+    group.indexToMember = (field, options) => indexToMember(group, field, options)
+    group.shareOfTotal = mapCall(group, "shareOfTotal");
+    group.divideBy = mapCall(group, "divideBy");
+    group.window = spec => windowGroup(group, spec);
     group.copy = () => group.map(member => member.copy());
     group.flatten = (key) => flatten(group, key);
     group.extent = (concept, groupBy, groupSubset) => extent(group, concept, groupBy, groupSubset),
     group.keyExtent = () => extentOfGroupKey(group);
     group.keyExtentIndices = options => extentIndicesOfGroupKey(group, options);
     group.extentOfGroupKeyPerMarker = (groupSubset) => extentOfGroupKeyPerMarker(group, groupSubset),
+    group.summary = mapInfo(group, "summary");
+    group.histogram = mapInfo(group, "histogram");
+    group.quantile = mapInfo(group, "quantile");
     group.groupBy = (key) => {
         for (let [keyStr, member] of group) {
             const keyObj = group.keyObject(member);
@@ -140,6 +153,17 @@ function mapCall(group, fnName) {
     }
 }
 
+// info per member, in a map with member keys as keys. Nested groups give nested maps.
+function mapInfo(group, fnName) {
+    return function() {
+        const result = new Map();
+        for (let [keyStr, member] of group) {
+            result.set(keyStr, member[fnName](...arguments));
+        }
+        return result;
+    }
+}
+
 /**
  * 
  * @param {*} group the group to find dataframe in
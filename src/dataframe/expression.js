@@ -0,0 +1,287 @@
+/**
+ * Compile an expression like `"gdp / population * 1000"`, `"log(x)"` or `"if(pop > 1e6, 'big', 'small')"` to a function of a row.
+ * The expression is parsed once and compiled to nested closures, so no code is evaluated (CSP-safe) and only fields of the row
+ * and functions in `expressionFunctions` can be reached.
+ *
+ * - fields: `gdp`, or between backticks for other names: `` `is--country` ``
+ * - literals: `12`, `1.5e6`, `'text'`, `"text"`, `true`, `false`, `null`
+ * - arithmetic: `+`, `-`, `*`, `/`, `%`, `^` (power)
+ * - comparison: `==` (or `=`), `!=`, `<`, `<=`, `>`, `>=`
+ * - logical: `and` (or `&&`), `or` (or `||`), `not` (or `!`)
+ * - functions: see `expressionFunctions`
+ *
+ * Operations on missing values, and operations without finite result like division by zero or log of 0, give `null`.
+ * @param {string} expression
+ * @returns {Function} function of row, with `fields` property listing the fields it reads and `type` property
+ * being the type of its result: `number`, `string`, `boolean` or `any` when it can't be known before evaluation.
+ */
+export function compileExpression(expression) {
+    const parser = Parser(expression);
+    const { fn, type } = parser.parse();
+    return Object.assign(row => fn(row), { fields: [...parser.fields], type, expression });
+}
+
+const isMissing = value => value === null || value === undefined;
+const finite = value => Number.isFinite(value) ? value : null;
+
+// operations which return null for missing operands or non-finite results
+const numeric = op => (...args) => args.some(isMissing) ? null : finite(op(...args));
+
+/**
+ * Functions available in expressions. `args` is the allowed number of arguments as `[min, max]`, `lazy` functions
+ * get their arguments as functions of row, so only the needed arguments are evaluated.
+ */
+export const expressionFunctions = {
+    abs: { args: [1, 1], type: 'number', fn: numeric(Math.abs) },
+    ceil: { args: [1, 1], type: 'number', fn: numeric(Math.ceil) },
+    floor: { args: [1, 1], type: 'number', fn: numeric(Math.floor) },
+    round: { args: [1, 2], type: 'number', fn: numeric((x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits) },
+    sqrt: { args: [1, 1], type: 'number', fn: numeric(Math.sqrt) },
+    exp: { args: [1, 1], type: 'number', fn: numeric(Math.exp) },
+    log: { args: [1, 1], type: 'number', fn: numeric(Math.log) },
+    log10: { args: [1, 1], type: 'number', fn: numeric(Math.log10) },
+    log2: { args: [1, 1], type: 'number', fn: numeric(Math.log2) },
+    pow: { args: [2, 2], type: 'number', fn: numeric(Math.pow) },
+    min: { args: [1, Infinity], type: 'number', fn: numeric(Math.min) },
+    max: { args: [1, Infinity], type: 'number', fn: numeric(Math.max) },
+    isnull: { args: [1, 1], type: 'boolean', fn: isMissing },
+    if: {
+        args: [2, 3],
+        lazy: true,
+        type: ([, then, otherwise = then]) => then == otherwise ? then : 'any',
+        fn: (row, condition, then, otherwise = () => null) => condition(row) ? then(row) : otherwise(row)
+    },
+    coalesce: {
+        args: [1, Infinity],
+        lazy: true,
+        type: types => types.every(type => type == types[0]) ? types[0] : 'any',
+        fn: (row, ...args) => {
+            for (const arg of args) {
+                const value = arg(row);
+                if (!isMissing(value))
+                    return value;
+            }
+            return null;
+        }
+    }
+}
+
+const negate = numeric(x => -x);
+
+const binaryOperators = {
+    '+': {
+        type: (a, b) => a == 'string' || b == 'string' ? 'string' : a == 'number' && b == 'number' ? 'number' : 'any',
+        fn: (a, b) => isMissing(a) || isMissing(b) ? null : typeof a == "string" || typeof b == "string" ? a + b : finite(a + b)
+    },
+    '-': { type: 'number', fn: numeric((a, b) => a - b) },
+    '*': { type: 'number', fn: numeric((a, b) => a * b) },
+    '/': { type: 'number', fn: numeric((a, b) => a / b) },
+    '%': { type: 'number', fn: numeric((a, b) => a % b) },
+    '^': { type: 'number', fn: numeric((a, b) => a ** b) },
+    '==': { type: 'boolean', fn: (a, b) => (a ?? null) === (b ?? null) },
+    '!=': { type: 'boolean', fn: (a, b) => (a ?? null) !== (b ?? null) },
+    '<': { type: 'boolean', fn: (a, b) => isMissing(a) || isMissing(b) ? null : a < b },
+    '<=': { type: 'boolean', fn: (a, b) => isMissing(a) || isMissing(b) ? null : a <= b },
+    '>': { type: 'boolean', fn: (a, b) => isMissing(a) || isMissing(b) ? null : a > b },
+    '>=': { type: 'boolean', fn: (a, b) => isMissing(a) || isMissing(b) ? null : a >= b }
+}
+binaryOperators['='] = binaryOperators['=='];
+
+const keywordOperators = { and: '&&', or: '||', not: '!' };
+const literals = { true: true, false: false, null: null };
+
+// longest operators first, so `<=` isn't read as `<`
+const operatorTokens = ['&&', '||', '==', '!=', '<=', '>=', '+', '-', '*', '/', '%', '^', '<', '>', '=', '!', '(', ')', ','];
+
+function tokenize(expression) {
+    const tokens = [];
+    const error = (message, pos, hint) => new Error(`${message} at position ${pos} in expression "${expression}".` + (hint ? ' ' + hint : ''));
+    let pos = 0;
+    while (pos < expression.length) {
+        const rest = expression.slice(pos);
+        let match;
+        if (match = rest.match(/^\s+/)) {
+            // whitespace
+        } else if (match = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i)) {
+            tokens.push({ type: 'literal', value: Number(match[0]), valueType: 'number', pos });
+        } else if (match = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/)) {
+            const word = match[0];
+            if (word in keywordOperators)
+                tokens.push({ type: 'operator', value: keywordOperators[word], pos });
+            else if (word in literals)
+                tokens.push({ type: 'literal', value: literals[word], valueType: word == 'null' ? 'any' : 'boolean', pos });
+            else
+                tokens.push({ type: 'identifier', value: word, pos });
+        } else if (rest[0] == '`') {
+            if (!(match = rest.match(/^`([^`]+)`/)))
+                throw error('Unterminated field name', pos);
+            tokens.push({ type: 'field', value: match[1], pos });
+        } else if (rest[0] == '"' || rest[0] == "'") {
+            if (!(match = rest.match(rest[0] == '"' ? /^"((?:[^"\\]|\\.)*)"/ : /^'((?:[^'\\]|\\.)*)'/)))
+                throw error('Unterminated string', pos);
+            tokens.push({ type: 'literal', value: match[1].replace(/\\(.)/g, '$1'), valueType: 'string', pos });
+        } else {
+            const operator = operatorTokens.find(op => rest.startsWith(op));
+            if (!operator)
+                throw error(`Unexpected character "${rest[0]}"`, pos);
+            match = [operator];
+            tokens.push({ type: 'operator', value: operator, pos });
+        }
+        pos += match[0].length;
+    }
+    tokens.push({ type: 'end', pos });
+    return { tokens, error };
+}
+
+// recursive descent parser, each rule returns `{ fn, type }` where fn is a function of row
+function Parser(expression) {
+    if (typeof expression != "string")
+        throw new Error(`Expression should be a string, got ${typeof expression}.`);
+
+    const { tokens, error } = tokenize(expression);
+    const fields = new Set();
+    let i = 0;
+
+    const peek = () => tokens[i];
+    const isOperator = (...ops) => peek().type == 'operator' && ops.includes(peek().value);
+    const unexpected = token => error(token.type == 'end' ? 'Unexpected end' : `Unexpected "${token.value}"`, token.pos);
+    const expect = op => {
+        if (!isOperator(op))
+            throw unexpected(peek());
+        i++;
+    }
+
+    const binary = (op, left, right) => {
+        const { fn, type } = binaryOperators[op];
+        return {
+            fn: row => fn(left.fn(row), right.fn(row)),
+            type: typeof type == "function" ? type(left.type, right.type) : type
+        }
+    }
+
+    // left associative binary operators of same precedence
+    const leftAssociative = (ops, operand) => () => {
+        let left = operand();
+        while (isOperator(...ops)) {
+            const op = tokens[i++].value;
+            left = binary(op, left, operand());
+        }
+        return left;
+    }
+
+    const or = () => {
+        let left = and();
+        while (isOperator('||')) {
+            i++;
+            const a = left.fn, b = and().fn;
+            left = { fn: row => !!(a(row) || b(row)), type: 'boolean' };
+        }
+        return left;
+    }
+    const and = () => {
+        let left = not();
+        while (isOperator('&&')) {
+            i++;
+            const a = left.fn, b = not().fn;
+            left = { fn: row => !!(a(row) && b(row)), type: 'boolean' };
+        }
+        return left;
+    }
+    const not = () => {
+        if (isOperator('!')) {
+            i++;
+            const operand = not().fn;
+            return { fn: row => !operand(row), type: 'boolean' };
+        }
+        return comparison();
+    }
+    const comparison = () => {
+        const left = additive();
+        if (isOperator('==', '=', '!=', '<', '<=', '>', '>=')) {
+            const op = tokens[i++].value;
+            return binary(op, left, additive());
+        }
+        return left;
+    }
+    const unary = () => {
+        if (isOperator('-')) {
+            i++;
+            const operand = unary().fn;
+            return { fn: row => negate(operand(row)), type: 'number' };
+        }
+        if (isOperator('+'))
+            i++;
+        return power();
+    }
+    // right associative, binds stronger than unary minus on its left: -2^2 = -4, 2^-1 = 0.5
+    const power = () => {
+        const base = primary();
+        if (isOperator('^')) {
+            i++;
+            return binary('^', base, unary());
+        }
+        return base;
+    }
+    const multiplicative = leftAssociative(['*', '/', '%'], unary);
+    const additive = leftAssociative(['+', '-'], multiplicative);
+
+    const primary = () => {
+        const token = tokens[i++];
+        switch (token.type) {
+            case 'literal': {
+                const value = token.value;
+                return { fn: () => value, type: token.valueType };
+            }
+            case 'field':
+                return field(token.value);
+            case 'identifier':
+                return isOperator('(') ? call(token) : field(token.value);
+            case 'operator':
+                if (token.value == '(') {
+                    const result = or();
+                    expect(')');
+                    return result;
+                }
+        }
+        throw unexpected(token);
+    }
+    const field = name => {
+        fields.add(name);
+        return { fn: row => row[name], type: 'any' };
+    }
+    const call = ({ value: name, pos }) => {
+        if (!(name in expressionFunctions))
+            throw error(`Unknown function "${name}"`, pos, `Use one of: ${Object.keys(expressionFunctions).join(', ')}.`);
+        const { args: [min, max], lazy, type, fn } = expressionFunctions[name];
+        const args = [];
+        expect('(');
+        if (!isOperator(')')) {
+            args.push(or());
+            while (isOperator(',')) {
+                i++;
+                args.push(or());
+            }
+        }
+        expect(')');
+        if (args.length < min || args.length > max)
+            throw error(`Function "${name}" takes ${min == max ? min : max == Infinity ? `at least ${min}` : `${min} to ${max}`} arguments, got ${args.length}`, pos);
+
+        const argFns = args.map(arg => arg.fn);
+        return {
+            fn: lazy
+                ? row => fn(row, ...argFns)
+                : row => fn(...argFns.map(arg => arg(row))),
+            type: typeof type == "function" ? type(args.map(arg => arg.type)) : type
+        }
+    }
+
+    return {
+        fields,
+        parse() {
+            const result = or();
+            if (peek().type != 'end')
+                throw unexpected(peek());
+            return result;
+        }
+    }
+}
@@ -0,0 +1,40 @@
+import { unique } from "../dfutils";
+
+/**
+ * Compare rows of two dataframes by key, e.g. successive frames of a marker's dataMap.
+ * @param {DataFrame} prev previous dataframe
+ * @param {DataFrame} next next dataframe, with the same key as `prev`
+ * @param {Object} options
+ * @param {String[]} options.fields fields to compare, defaults to fields of both dataframes
+ * @returns {Object} `{ enter, exit, update, unchanged }`, maps with key strings as keys. `enter` and `unchanged` have `next` rows as values,
+ * `exit` has `prev` rows and `update` has objects `{ row, prev, fields }` with the changed fields.
+ */
+export function diff(prev, next, { fields = unique(prev.fields, next.fields) } = {}) {
+    const enter = new Map(), exit = new Map(), update = new Map(), unchanged = new Map();
+
+    for (const keyStr of next.keys()) {
+        const row = next.getByStr(keyStr);
+        const prevRow = prev.getByStr(keyStr);
+        if (prevRow === undefined) {
+            enter.set(keyStr, row);
+            continue;
+        }
+        const changed = prevRow === row ? [] : fields.filter(field => !equalValues(prevRow[field], row[field]));
+        if (changed.length > 0)
+            update.set(keyStr, { row, prev: prevRow, fields: changed });
+        else
+            unchanged.set(keyStr, row);
+    }
+    for (const keyStr of prev.keys()) {
+        if (!next.hasByStr(keyStr))
+            exit.set(keyStr, prev.getByStr(keyStr));
+    }
+
+    return { enter, exit, update, unchanged };
+}
+
+function equalValues(a, b) {
+    if (a instanceof Date && b instanceof Date)
+        return a.getTime() === b.getTime();
+    return a === b || (Number.isNaN(a) && Number.isNaN(b));
+}
@@ -0,0 +1,87 @@
+import { getIter } from "../dfutils";
+
+const defaultQuantiles = [0.25, 0.5, 0.75];
+
+/**
+ * Descriptive statistics of fields in an iterable of rows. Nullish and NaN values are counted as nulls and otherwise ignored.
+ * Mean, stddev and quantiles are only calculated for numeric fields.
+ * @param {*} iter DataFrame or iterable of rows
+ * @param {String[]} fields fields to describe, defaults to `iter.fields`
+ * @param {Object} options
+ * @param {Number[]} options.quantiles probabilities of quantiles to calculate, defaults to quartiles
+ * @returns {Object} object with per field `{ count, nulls, distinct, min, max, mean, stddev, quantiles: { p: value } }`
+ */
+export function summary(iter, fields = iter.fields, { quantiles = defaultQuantiles } = {}) {
+    const rows = [...getIter(iter)];
+    const result = {};
+    for (const field of fields) {
+        const values = [];
+        const distinct = new Set();
+        let nulls = 0;
+        for (const row of rows) {
+            const value = row[field];
+            if (value == null || Number.isNaN(value)) {
+                nulls++;
+            } else {
+                values.push(value);
+                distinct.add(value instanceof Date ? value.getTime() : value);
+            }
+        }
+        const numeric = values.length > 0 && values.every(value => typeof value == "number");
+        result[field] = {
+            count: values.length,
+            nulls,
+            distinct: distinct.size,
+            min: d3.min(values),
+            max: d3.max(values),
+            mean: numeric ? d3.mean(values) : undefined,
+            stddev: numeric ? d3.deviation(values) : undefined,
+            quantiles: Object.fromEntries(quantiles.map(p => [p, numeric ? d3.quantile(values, p) : undefined]))
+        }
+    }
+    return result;
+}
+
+/**
+ * Histogram of a field in an iterable of rows, using `d3.bin`. Nullish values are ignored.
+ * @param {*} iter DataFrame or iterable of rows
+ * @param {String} field
+ * @param {Object} options
+ * @param {Number} options.bins approximate number of bins, rounded to nice thresholds by d3
+ * @param {Number[]} options.thresholds explicit bin thresholds, takes precedence over `bins`
+ * @param {Number[]} options.domain `[min, max]` of histogram, defaults to extent of values
+ * @returns {Array[]} array of bins, each an array of rows with `x0` and `x1` bounds
+ */
+export function histogram(iter, field, { bins, thresholds, domain } = {}) {
+    const binner = d3.bin().value(row => row[field]);
+    if (thresholds ?? bins)
+        binner.thresholds(thresholds ?? bins);
+    if (domain)
+        binner.domain(domain);
+    const rows = [];
+    for (const row of getIter(iter))
+        if (row[field] != null) rows.push(row);
+    return binner(rows);
+}
+
+/**
+ * Quantile of a field in an iterable of rows. Nullish values are ignored.
+ * @param {*} iter DataFrame or iterable of rows
+ * @param {String} field
+ * @param {Number|Number[]} p probability or array of probabilities
+ * @returns {Number|Number[]} quantile, or array of quantiles if `p` is an array
+ */
+export function quantile(iter, field, p) {
+    const values = Float64Array.from(numericValues(getIter(iter), field)).sort();
+    return Array.isArray(p)
+        ? p.map(p => d3.quantileSorted(values, p))
+        : d3.quantileSorted(values, p);
+}
+
+function* numericValues(iter, field) {
+    for (const row of iter) {
+        const value = row[field];
+        if (value != null && !Number.isNaN(+value))
+            yield +value;
+    }
+}
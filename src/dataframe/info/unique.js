@@ -1,6 +1,9 @@
 import { getIter } from "../dfutils";
 
 export function unique(iter, concept) {
+    if (iter.indexes?.has(concept))
+        return iter.indexes.get(concept).values();
+
     iter = getIter(iter);
     
     const unique = new Set()
@@ -0,0 +1,222 @@
+import { DataFrame } from "./dataFrame";
+import { createFilterFn, validFilterArg } from "./transforms/filter";
+import { createOrderCompareFn } from "./transforms/order";
+import { normalizeParams } from "./transforms/fulljoin";
+import { createRightLookup, projectRow } from "./transforms/join";
+import { columnValue } from "./transforms/addColumn";
+import { indexedKeys } from "./storage/indexes";
+
+/**
+ * Lazy query plan on a dataframe. Operations are recorded and only executed on `collect()`, which materializes a single dataframe.
+ * Before execution, filters are pushed down below orders, joins, projections and added columns which don't change the fields they read,
+ * and adjacent filters are fused. All operations except order then run in one pass over the rows.
+ * Unlike on a dataframe, `addColumn` doesn't change rows of the source dataframe.
+ * @param {DataFrame} df source dataframe
+ * @param {Object[]} plan recorded operations
+ */
+export function LazyFrame(df, plan = []) {
+    const lazy = LazyFrame.bind(null, df);
+    const next = step => lazy([...plan, step]);
+    return {
+        type: 'LazyFrame',
+        filter: (filterObj) => validFilterArg(filterObj) ? next({ op: 'filter', filters: [filterObj] }) : lazy(plan),
+        project: (projection) => next({ op: 'project', projection: normalizeProjection(projection) }),
+        addColumn: (name, value) => next({ op: 'addColumn', name, value: columnValue(value) }),
+        order: (order_by = []) => order_by.length == 0 ? lazy(plan) : next({ op: 'order', order_by }),
+        leftJoin: (joinParams) => next({ op: 'leftJoin', rights: normalizeParams(joinParams) }),
+        innerJoin: (joinParams) => next({ op: 'innerJoin', rights: normalizeParams(joinParams) }),
+        semiJoin: (joinParams) => next({ op: 'semiJoin', rights: normalizeParams(joinParams) }),
+        antiJoin: (joinParams) => next({ op: 'antiJoin', rights: normalizeParams(joinParams) }),
+        // optimized plan which `collect` executes
+        explain: () => optimize(df.key, plan),
+        collect: () => execute(df, optimize(df.key, plan))
+    }
+}
+
+// change array ["geo","pop"] to { geo: [ "geo" ], pop: [ "pop" ] }, like fullJoin does
+function normalizeProjection(projection) {
+    if (!Array.isArray(projection))
+        return projection;
+    return Object.fromEntries(projection.map(field => [field, [field]]));
+}
+
+function optimize(key, plan) {
+    const result = [];
+    for (const step of plan) {
+        if (step.op != 'filter') {
+            result.push(step);
+            continue;
+        }
+        const fields = filterFields(step.filters);
+        let i = result.length;
+        while (i > 0 && commutes(fields, result[i - 1], key))
+            i--;
+        // filters commute, so it can only land before another filter
+        if (result[i]?.op == 'filter')
+            result[i] = { op: 'filter', filters: [...result[i].filters, ...step.filters] };
+        else
+            result.splice(i, 0, step);
+    }
+    return result;
+}
+
+/**
+ * Can a filter, reading `fields`, be executed before `step` with the same result
+ * @param {String[]|undefined} fields fields read by filter, undefined for filter functions
+ */
+function commutes(fields, step, key) {
+    switch (step.op) {
+        case 'filter':
+        case 'order':
+        case 'semiJoin':
+        case 'antiJoin':
+            return true;
+        case 'addColumn':
+            return fields !== undefined && !fields.includes(step.name);
+        case 'leftJoin':
+        case 'innerJoin': {
+            const joinedFields = step.rights.flatMap(right => Object.values(right.projection).flat());
+            return fields !== undefined && fields.every(field => !joinedFields.includes(field));
+        }
+        case 'project':
+            return fields !== undefined && fields.every(field => key.includes(field) || step.projection[field]?.includes(field));
+        default:
+            return false;
+    }
+}
+
+// fields read by filter specs, undefined if any is a function
+function filterFields(filters) {
+    const fields = new Set();
+    const addFields = spec => {
+        for (const field in spec) {
+            if (!field.startsWith('$'))
+                fields.add(field);
+            else if (Array.isArray(spec[field]))
+                spec[field].forEach(addFields);
+            else
+                addFields(spec[field]);
+        }
+    }
+    for (const spec of filters) {
+        if (typeof spec == "function")
+            return undefined;
+        addFields(spec);
+    }
+    return [...fields];
+}
+
+function execute(df, plan) {
+    const key = df.key;
+    let fields = [...df.fields];
+    let entries = sourceEntries(df, plan[0]);
+    for (const step of plan) {
+        entries = operations[step.op](entries, step, { key, fields });
+        fields = outputFields(step, fields, key);
+    }
+    const result = DataFrame([], key);
+    for (const [keyStr, row] of entries)
+        result.set(row, keyStr);
+    return result;
+}
+
+// use secondary indexes for the first filter, if any
+function* sourceEntries(df, firstStep) {
+    let keys;
+    if (firstStep?.op == 'filter' && df.indexes?.size > 0) {
+        const conditions = firstStep.filters
+            .filter(spec => typeof spec == "object")
+            .flatMap(spec => Object.keys(spec).map(field => ({ [field]: spec[field] })));
+        keys = indexedKeys(df, { $and: conditions });
+    }
+    for (const keyStr of keys ?? df.keys())
+        yield [keyStr, df.getByStr(keyStr)];
+}
+
+function outputFields(step, fields, key) {
+    switch (step.op) {
+        case 'project':
+            return [...new Set([...key, ...Object.values(step.projection).flat()])];
+        case 'addColumn':
+            return [...new Set([...fields, step.name])];
+        case 'leftJoin':
+        case 'innerJoin':
+            return [...new Set([...fields, ...step.rights.flatMap(right => Object.values(right.projection).flat())])];
+        default:
+            return fields;
+    }
+}
+
+function* filterEntries(entries, filterFn) {
+    for (const entry of entries)
+        if (filterFn(entry[1]))
+            yield entry;
+}
+
+// mapFn returns new row, or undefined to remove row
+function* mapEntries(entries, mapFn) {
+    for (const [keyStr, row] of entries) {
+        const newRow = mapFn(row, keyStr);
+        if (newRow !== undefined)
+            yield [keyStr, newRow];
+    }
+}
+
+/**
+ * Operations take the entries `[keyStr, row]` coming out of the previous step, the step and the schema `{ key, fields }` of the entries.
+ * They return the resulting entries, lazily where possible.
+ */
+const operations = {
+    filter(entries, { filters }) {
+        const filterFns = filters.map(spec => typeof spec == "function" ? spec : createFilterFn(spec));
+        return filterEntries(entries, row => filterFns.every(filterFn => filterFn(row)));
+    },
+    project(entries, { projection }, { key }) {
+        return mapEntries(entries, (row, keyStr) => {
+            const newRow = { [Symbol.for('key')]: keyStr };
+            for (const dim of key)
+                newRow[dim] = row[dim];
+            return projectRow(newRow, row, projection);
+        });
+    },
+    addColumn(entries, { name, value }) {
+        return mapEntries(entries, row => {
+            const newRow = Object.assign({}, row);
+            newRow[name] = typeof value == "function" ? value(newRow) : value;
+            return newRow;
+        });
+    },
+    order(entries, { order_by }) {
+        const compare = createOrderCompareFn(order_by);
+        return [...entries].sort((a, b) => compare(a[1], b[1]));
+    },
+    leftJoin(entries, { rights }, schema) {
+        const lookups = rights.map(right => createRightLookup(schema, right));
+        return mapEntries(entries, (row, keyStr) => {
+            const newRow = Object.assign({}, row);
+            rights.forEach((right, i) => projectRow(newRow, lookups[i](row, keyStr), right.projection));
+            return newRow;
+        });
+    },
+    innerJoin(entries, { rights }, schema) {
+        const lookups = rights.map(right => createRightLookup(schema, right));
+        return mapEntries(entries, (row, keyStr) => {
+            const rightRows = lookups.map(lookup => lookup(row, keyStr));
+            if (rightRows.some(rightRow => rightRow === undefined))
+                return undefined;
+            const newRow = Object.assign({}, row);
+            rights.forEach((right, i) => projectRow(newRow, rightRows[i], right.projection));
+            return newRow;
+        });
+    },
+    semiJoin: (entries, { rights }, schema) => matchEntries(entries, rights, schema, true),
+    antiJoin: (entries, { rights }, schema) => matchEntries(entries, rights, schema, false)
+}
+
+function matchEntries(entries, rights, schema, keepMatching) {
+    const lookups = rights.map(right => createRightLookup(schema, right));
+    return mapEntries(entries, (row, keyStr) => {
+        const matches = lookups.every(lookup => lookup(row, keyStr) !== undefined);
+        return matches === keepMatching ? row : undefined;
+    });
+}
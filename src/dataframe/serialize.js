@@ -0,0 +1,63 @@
+import { DataFrame } from "./dataFrame";
+import { DataFrameGroup } from "./dataFrameGroup";
+
+// symbol keyed properties of rows which record where values come from
+const provenanceSymbols = ['interpolated', 'extrapolated'];
+
+/**
+ * Structured-clone-friendly representation of a dataframe or group, e.g. to post to a worker.
+ * `postMessage` doesn't clone symbol keyed properties, so row key strings are sent separately and provenance, i.e. 
+ * `Symbol.for('interpolated')` and `Symbol.for('extrapolated')`, as arrays parallel to rows. Other symbol keyed properties are dropped.
+ * Getters on rows are read, so rows are plain objects.
+ * @param {DataFrame|DataFrameGroup} data
+ * @returns {Object} `{ type: 'DataFrame', key, keys, rows, provenance }` or `{ type: 'Group', key, descendantKeys, members: [[keyObj, member]] }`
+ */
+export function serialize(data) {
+    if (data.type == 'Group') {
+        return {
+            type: 'Group',
+            key: data.key,
+            descendantKeys: data.descendantKeys,
+            members: [...data.values()].map(member => [data.keyObject(member), serialize(member)])
+        }
+    }
+    const rows = [...data.values()];
+    const provenance = {};
+    for (const name of provenanceSymbols) {
+        const symbol = Symbol.for(name);
+        if (rows.some(row => symbol in row))
+            provenance[name] = rows.map(row => row[symbol]);
+    }
+    return {
+        type: 'DataFrame',
+        key: data.key,
+        keys: [...data.keys()],
+        rows: rows.map(row => Object.assign({}, row)),
+        provenance
+    }
+}
+
+/**
+ * Recreate a dataframe or group from its serialized representation. Uses the row objects of `obj`.
+ * @param {Object} obj result of `serialize`, after cloning
+ * @returns {DataFrame|DataFrameGroup}
+ */
+export function deserialize(obj) {
+    if (obj.type == 'Group') {
+        const group = DataFrameGroup([], obj.key, obj.descendantKeys);
+        for (const [keyObj, member] of obj.members)
+            group.set(keyObj, deserialize(member));
+        return group;
+    }
+    const df = DataFrame([], obj.key);
+    const provenance = Object.entries(obj.provenance ?? {});
+    obj.rows.forEach((row, i) => {
+        const keyStr = obj.keys[i];
+        row[Symbol.for('key')] = keyStr;
+        for (const [name, values] of provenance)
+            if (values[i] !== undefined)
+                row[Symbol.for(name)] = values[i];
+        df.set(row, keyStr);
+    });
+    return df;
+}
@@ -0,0 +1,420 @@
+import { normalizeKey, getIter, createKeyFn, arrayEquals, unique, esc } from "../dfutils";
+import { createDuplicatesResolver, resolveDuplicates } from "./duplicates";
+
+const KEY = Symbol.for('key');
+const SLOT = Symbol('slot');
+
+// measure column value mask. Zero-initialized typed arrays thus start out absent.
+const ABSENT = 0, VALUE = 1, NULL = 2;
+const initialCapacity = 16;
+
+/**
+ * Columnar data frame storage. Measure columns are stored in `Float64Array`s and all other columns (including key dimensions)
+ * are dictionary encoded in `Int32Array`s. Row objects are not kept in memory. Instead, `get()`, `values()` etc return row views
+ * which read from and write to the columns. Rows given to `set()` are copied into the columns, so to change a row after setting it,
+ * mutate the view returned by `get()`. Views are created on first request and cached per row, so `get()` and `values()` return the same
+ * object for a row until it's deleted.
+ * @param {Iterable} data Iterable of row objects
+ * @param {String[]} keyArr Key of the storage
+ * @param {Object} options `duplicates` policy for rows with the same key, see `createDuplicatesResolver`
+ */
+export function ColumnarStorage(data = [], keyArr = data.key || [], { duplicates = 'last' } = {}) {
+
+    const storage = createEmptyColumns();
+    storage.key = keyArr;
+    createDuplicatesResolver(duplicates, storage.key); // throws on unknown policy
+    storage.duplicatesPolicy = duplicates;
+    storage.batchSet(data);
+
+    return storage;
+}
+
+function createEmptyColumns() {
+    const storage = {};
+    const columns = new Map();  // field => column
+    const index = new Map();    // keyStr => slot
+    const slotKeys = [];        // slot => keyStr
+    const extras = new Map();   // slot => object with symbol and accessor properties of row (e.g. Symbol.for('interpolated'))
+    const freeSlots = [];
+    let capacity = initialCapacity;
+    let length = 0;
+    let key = [];
+
+    const views = new WeakSet();
+    const viewCache = [];       // slot => view
+    const isView = row => views.has(row);
+    const rowHandler = createRowHandler({ columns, extras, slotKeys, setValue });
+    const view = slot => {
+        let row = viewCache[slot];
+        if (row === undefined) {
+            const target = {};
+            target[SLOT] = slot;
+            row = new Proxy(target, rowHandler);
+            views.add(row);
+            viewCache[slot] = row;
+        }
+        return row;
+    }
+
+    Object.defineProperty(storage, 'fields', {
+        get: () => unique(key, [...columns.keys()])
+    });
+    Object.defineProperty(storage, 'size', {
+        get: () => index.size
+    });
+    storage.setKey = newKey => {
+        key = normalizeKey(newKey);
+        storage.incrementIndex = key.length === 0;
+        storage.keyFn = storage.incrementIndex ? () => storage.size : createKeyFn(key);
+        storage.updateIndexes();
+    }
+    Object.defineProperty(storage, 'key', {
+        set: storage.setKey,
+        get: () => key
+    });
+    storage.has = keyObj => storage.incrementIndex || typeof keyObj == 'string' ? index.has(keyObj) : index.has(storage.keyFn(keyObj));
+    storage.get = keyObj => {
+        const keyStr = storage.incrementIndex || typeof keyObj == 'string' ? keyObj : storage.keyFn(keyObj);
+        return storage.getByStr(keyStr);
+    }
+    storage.set = (row, keyStr) => {
+        // keyStr is an optimization to circumvent keyStr generation, see MapStorage
+        if (keyStr === undefined || storage.incrementIndex)
+            keyStr = storage.keyFn(row);
+        storage.setByStr(keyStr, row);
+        return storage;
+    }
+    storage.setByStr = (keyStr, row) => {
+        let slot = index.get(keyStr);
+        if (slot === undefined) {
+            slot = allocateSlot();
+            index.set(keyStr, slot);
+            slotKeys[slot] = keyStr;
+        } else if (isView(row) && row[SLOT] === slot) {
+            return storage; // row is view on this slot, nothing to copy
+        }
+        writeRow(slot, row);
+        return storage;
+    }
+    storage.hasByStr = keyStr => index.has(keyStr);
+    storage.getByStr = keyStr => {
+        const slot = index.get(keyStr);
+        return slot === undefined ? undefined : view(slot);
+    }
+    storage.hasByObjOrStr = (keyObj, keyStr) => index.has(keyStr);
+    storage.getByObjOrStr = (keyObj, keyStr) => storage.getByStr(keyStr);
+    storage.delete = keyStr => {
+        const slot = index.get(keyStr);
+        if (slot === undefined)
+            return false;
+        index.delete(keyStr);
+        releaseSlot(slot);
+        return true;
+    }
+    storage.clear = () => {
+        // start over with empty columns, dropping their dictionaries
+        columns.clear();
+        index.clear();
+        extras.clear();
+        slotKeys.length = 0;
+        freeSlots.length = 0;
+        viewCache.length = 0;
+        capacity = initialCapacity;
+        length = 0;
+    }
+    storage.keys = () => index.keys();
+    storage.values = function* () {
+        for (const slot of index.values())
+            yield view(slot);
+    }
+    storage.entries = function* () {
+        for (const [keyStr, slot] of index)
+            yield [keyStr, view(slot)];
+    }
+    storage[Symbol.iterator] = storage.entries;
+    storage.forEach = fn => {
+        for (const [keyStr, slot] of index)
+            fn(view(slot), keyStr, storage);
+    }
+    storage.batchSet = data => batchSet(storage, data);
+    storage.rows = storage.values;
+    storage.updateIndexes = () => {
+        // key dimensions are always dictionary encoded
+        for (const dim of key) {
+            const column = columns.get(dim);
+            if (column?.type === 'measure')
+                columns.set(dim, toDimensionColumn(column));
+        }
+        const slots = [...index.values()];
+        index.clear();
+        for (const slot of slots) {
+            const keyStr = storage.keyFn(view(slot));
+            // like MapStorage, rows with identical new keys overwrite earlier rows
+            if (index.has(keyStr))
+                releaseSlot(index.get(keyStr));
+            index.set(keyStr, slot);
+            slotKeys[slot] = keyStr;
+        }
+    }
+
+    function allocateSlot() {
+        if (freeSlots.length > 0)
+            return freeSlots.pop();
+        if (length === capacity) {
+            capacity *= 2;
+            for (const column of columns.values())
+                column.grow(capacity);
+        }
+        return length++;
+    }
+
+    function releaseSlot(slot) {
+        for (const column of columns.values())
+            column.set(slot, undefined);
+        extras.delete(slot);
+        slotKeys[slot] = undefined;
+        viewCache[slot] = undefined;
+        freeSlots.push(slot);
+    }
+
+    function writeRow(slot, row) {
+        // snapshot views first, they might read from the slot we're about to clear
+        const source = isView(row) ? Object.assign({}, row) : row;
+        for (const column of columns.values())
+            column.set(slot, undefined);
+        extras.delete(slot);
+
+        for (const field of Object.keys(source))
+            setValue(slot, field, source[field]);
+        for (const symbol of Object.getOwnPropertySymbols(source)) {
+            if (symbol !== KEY)
+                getExtras(extras, slot)[symbol] = source[symbol];
+        }
+    }
+
+    function setValue(slot, field, value) {
+        let column = columns.get(field);
+        if (!column) {
+            column = key.includes(field) || (value != null && typeof value != 'number')
+                ? dimensionColumn(capacity)
+                : measureColumn(capacity);
+            columns.set(field, column);
+        } else if (!column.accepts(value)) {
+            column = toDimensionColumn(column);
+            columns.set(field, column);
+        }
+        column.set(slot, value);
+    }
+
+    function toDimensionColumn(column) {
+        const dimColumn = dimensionColumn(capacity);
+        for (let slot = 0; slot < length; slot++) {
+            dimColumn.set(slot, column.get(slot));
+        }
+        return dimColumn;
+    }
+
+    storage.setKey(key);
+    return storage;
+}
+
+/**
+ * Proxy handler for row views. A view's target only holds its slot, everything else is read from the columns.
+ */
+function createRowHandler({ columns, extras, slotKeys, setValue }) {
+    return {
+        get(target, prop, receiver) {
+            const slot = target[SLOT];
+            if (prop === KEY)
+                return slotKeys[slot];
+            if (prop === SLOT)
+                return slot;
+            const extra = extras.get(slot);
+            if (extra && prop in extra)
+                return Reflect.get(extra, prop, receiver);
+            const column = columns.get(prop);
+            if (column)
+                return column.get(slot);
+            return Reflect.get(target, prop, receiver);
+        },
+        set(target, prop, value, receiver) {
+            const slot = target[SLOT];
+            const extra = extras.get(slot);
+            if (extra && prop in extra)
+                return Reflect.set(extra, prop, value, receiver);
+            if (typeof prop === 'symbol') {
+                if (prop !== KEY)
+                    getExtras(extras, slot)[prop] = value;
+            } else {
+                setValue(slot, prop, value);
+            }
+            return true;
+        },
+        has(target, prop) {
+            const slot = target[SLOT];
+            return prop === KEY
+                || !!extras.get(slot) && prop in extras.get(slot)
+                || !!columns.get(prop)?.has(slot);
+        },
+        deleteProperty(target, prop) {
+            const slot = target[SLOT];
+            extras.get(slot) && delete extras.get(slot)[prop];
+            columns.get(prop)?.set(slot, undefined);
+            return true;
+        },
+        defineProperty(target, prop, descriptor) {
+            const slot = target[SLOT];
+            if (typeof prop === 'string' && 'value' in descriptor && !(extras.get(slot) && prop in extras.get(slot))) {
+                setValue(slot, prop, descriptor.value);
+            } else {
+                columns.get(prop)?.set(slot, undefined);
+                Object.defineProperty(getExtras(extras, slot), prop, Object.assign({ configurable: true }, descriptor));
+            }
+            return true;
+        },
+        ownKeys(target) {
+            const slot = target[SLOT];
+            const keys = [];
+            for (const [field, column] of columns) {
+                if (column.has(slot))
+                    keys.push(field);
+            }
+            const extra = extras.get(slot);
+            if (extra) {
+                for (const prop of Reflect.ownKeys(extra))
+                    if (!keys.includes(prop)) keys.push(prop);
+            }
+            keys.push(KEY);
+            return keys;
+        },
+        getOwnPropertyDescriptor(target, prop) {
+            const slot = target[SLOT];
+            if (prop === KEY)
+                return valueDescriptor(slotKeys[slot]);
+            const extra = extras.get(slot);
+            if (extra && Object.prototype.hasOwnProperty.call(extra, prop))
+                return Object.assign(Reflect.getOwnPropertyDescriptor(extra, prop), { configurable: true });
+            const column = columns.get(prop);
+            if (column?.has(slot))
+                return valueDescriptor(column.get(slot));
+            return undefined;
+        }
+    }
+}
+
+function valueDescriptor(value) {
+    return { value, writable: true, enumerable: true, configurable: true };
+}
+
+function getExtras(extras, slot) {
+    let extra = extras.get(slot);
+    if (!extra) {
+        extra = Object.create(null);
+        extras.set(slot, extra);
+    }
+    return extra;
+}
+
+function measureColumn(capacity) {
+    return {
+        type: 'measure',
+        values: new Float64Array(capacity),
+        mask: new Uint8Array(capacity),
+        accepts: value => value == null || typeof value == 'number',
+        has(slot) {
+            return this.mask[slot] !== ABSENT;
+        },
+        get(slot) {
+            const mask = this.mask[slot];
+            return mask === VALUE ? this.values[slot]
+                : mask === NULL ? null
+                : undefined;
+        },
+        set(slot, value) {
+            if (value === undefined) {
+                this.mask[slot] = ABSENT;
+            } else if (value === null) {
+                this.mask[slot] = NULL;
+            } else {
+                this.mask[slot] = VALUE;
+                this.values[slot] = value;
+            }
+        },
+        grow(capacity) {
+            this.values = growArray(this.values, capacity);
+            this.mask = growArray(this.mask, capacity);
+        }
+    }
+}
+
+function dimensionColumn(capacity) {
+    return {
+        type: 'dimension',
+        codes: new Int32Array(capacity), // 0 is absent, otherwise index in dictionary + 1
+        dictionary: [],
+        lookup: new Map(), // lookup by esc() so equal dates share a code
+        accepts: () => true,
+        has(slot) {
+            return this.codes[slot] !== 0;
+        },
+        get(slot) {
+            const code = this.codes[slot];
+            return code === 0 ? undefined : this.dictionary[code - 1];
+        },
+        set(slot, value) {
+            if (value === undefined) {
+                this.codes[slot] = 0;
+                return;
+            }
+            const lookupKey = esc(value);
+            let code = this.lookup.get(lookupKey);
+            if (code === undefined) {
+                code = this.dictionary.push(value);
+                this.lookup.set(lookupKey, code);
+            }
+            this.codes[slot] = code;
+        },
+        grow(capacity) {
+            this.codes = growArray(this.codes, capacity);
+        }
+    }
+}
+
+function growArray(array, capacity) {
+    const grown = new array.constructor(capacity);
+    grown.set(array);
+    return grown;
+}
+
+function batchSet(storage, data) {
+
+    const iter = getIter(data);
+
+    if (!storage.incrementIndex) {
+
+        let keyStr;
+        const duplicates = new Map();
+        const keyFn = Array.isArray(data.key) && arrayEquals(storage.key, data.key)
+            ? row => row[KEY]
+            : row => storage.keyFn(row);
+
+        for (let row of iter) {
+            keyStr = keyFn(row);
+            if (storage.hasByStr(keyStr)) {
+                if (!duplicates.has(keyStr))
+                    duplicates.set(keyStr, [Object.assign({}, storage.getByStr(keyStr))]);
+                duplicates.get(keyStr).push(row);
+            }
+            storage.setByStr(keyStr, row);
+        }
+
+        if (duplicates.size > 0)
+            storage.duplicates = resolveDuplicates(storage, duplicates, storage.duplicatesPolicy);
+
+    } else {
+        for (let row of iter) {
+            storage.set(row);
+        }
+    }
+
+}
@@ -0,0 +1,82 @@
+import { reducers } from "../transforms/aggregate";
+
+export const DUPLICATE_KEYS = 'dataframe/error/duplicateKeys';
+
+const policies = ['error', 'first', 'last', 'merge'];
+
+/**
+ * Creates a function which resolves rows with the same key to one row, according to `policy`:
+ * - `'last'`: keep last row, warns about duplicates (default)
+ * - `'first'`: keep first row
+ * - `'merge'`: merge rows, later non-null fields overwrite earlier ones
+ * - `'error'`: throw an error with the duplicates report as `error.duplicates`
+ * - reducer name from `aggregate`, e.g. `'sum'`, or reducer function `(rows, field) => value`: reduce numeric fields, other fields are merged
+ * @param {String|Function} policy
+ * @param {String[]} key key of storage, key fields are not reduced
+ * @returns {Function} (rows, keyStr) => row
+ */
+export function createDuplicatesResolver(policy = 'last', key) {
+    if (typeof policy == "function")
+        return reduceRows(policy, key);
+    if (policy == 'first')
+        return rows => rows[0];
+    if (policy == 'last' || policy == 'error')
+        return rows => rows[rows.length - 1];
+    if (policy == 'merge')
+        return reduceRows(reducers.last, key);
+    if (policy in reducers)
+        return reduceRows(reducers[policy], key);
+    throw new Error(`Unknown duplicates policy "${policy}". Use one of: ${policies.concat(Object.keys(reducers)).join(', ')} or a reducer function.`);
+}
+
+function reduceRows(reducer, key) {
+    return (rows, keyStr) => {
+        const row = { [Symbol.for('key')]: keyStr };
+        for (const field of fieldsOf(rows)) {
+            const numeric = !key.includes(field) && rows.every(row => row[field] == null || typeof row[field] == "number");
+            row[field] = numeric
+                ? reducer(rows, field, {})
+                : reducers.last(rows, field) ?? rows[rows.length - 1][field];
+        }
+        return row;
+    }
+}
+
+function fieldsOf(rows) {
+    const fields = new Set();
+    for (const row of rows)
+        for (const field in row)
+            fields.add(field);
+    return fields;
+}
+
+/**
+ * Resolves duplicates found in storage batchSet and returns a structured report. Throws if policy is `'error'`.
+ * @param {*} storage
+ * @param {Map} duplicates keyStr => all rows with that key, in order of setting
+ * @param {String|Function} policy
+ * @returns {Object} report `{ key, policy, count, duplicates: [{ keyStr, rows }] }`
+ */
+export function resolveDuplicates(storage, duplicates, policy = 'last') {
+    const report = {
+        key: storage.key,
+        policy,
+        count: duplicates.size,
+        duplicates: [...duplicates].map(([keyStr, rows]) => ({ keyStr, rows }))
+    };
+
+    if (policy == 'error') {
+        const error = new Error(`Found ${duplicates.size} duplicate keys for key [${storage.key.join(', ')}] when constructing dataframe.`);
+        error.name = DUPLICATE_KEYS;
+        error.duplicates = report;
+        throw error;
+    }
+    if (policy == 'last')
+        console.warn('Found duplicates for given key when constructing dataframe.', report);
+
+    const resolve = createDuplicatesResolver(policy, storage.key);
+    for (const [keyStr, rows] of duplicates)
+        storage.setByStr(keyStr, resolve(rows, keyStr));
+
+    return report;
+}
@@ -0,0 +1,171 @@
+import { getOrCreate } from "../../core/utils";
+
+/**
+ * Create a secondary index on a non-key field of a dataframe. `filter` uses indexes for `$eq`, `$in` and range operators
+ * (`$gt`, `$gte`, `$lt`, `$lte`, `$between`) on indexed fields, `unique` uses them for distinct values.
+ * The index is a hash of values to rows, plus a sorted array of values built on first range query.
+ * It's invalidated by `set`, `setByStr`, `delete` and `clear` and rebuilt on next use. Transforms which write rows in place,
+ * like `addColumn`, `fillNull` and `interpolate`, invalidate it too. Other in place mutations of rows should call `invalidateIndexes`.
+ * @param {DataFrame} df
+ * @param {String} field
+ * @returns {DataFrame} df
+ */
+export function createIndex(df, field) {
+    if (!df.indexes)
+        invalidateOnMutation(df);
+    df.indexes.set(field, fieldIndex(df, field));
+    return df;
+}
+
+export function dropIndex(df, field) {
+    df.indexes?.delete(field);
+    return df;
+}
+
+/**
+ * Invalidate secondary indexes of a dataframe after its rows changed in place
+ * @param {DataFrame} df
+ * @returns {DataFrame} df
+ */
+export function invalidateIndexes(df) {
+    if (df.indexes)
+        for (const index of df.indexes.values())
+            index.invalidate();
+    return df;
+}
+
+function invalidateOnMutation(df) {
+    df.indexes = new Map();
+    for (const method of ['set', 'setByStr', 'delete', 'clear']) {
+        const fn = df[method];
+        df[method] = function() {
+            invalidateIndexes(df);
+            return fn.apply(df, arguments);
+        }
+    }
+}
+
+// dates by time, so equal dates are found in hash
+const indexValue = value => value instanceof Date ? value.getTime() : value;
+const sortable = value => value != null && !Number.isNaN(value);
+
+function fieldIndex(df, field) {
+    let hash, values, ordinals, sorted;
+
+    function build() {
+        hash = new Map();
+        values = new Map();
+        ordinals = new Map();
+        let i = 0;
+        for (const keyStr of df.keys()) {
+            const value = df.getByStr(keyStr)[field];
+            const indexed = indexValue(value);
+            ordinals.set(keyStr, i++);
+            if (!hash.has(indexed))
+                values.set(indexed, value);
+            getOrCreate(hash, indexed, () => []).push(keyStr);
+        }
+    }
+
+    function buildSorted() {
+        sorted = [...hash.keys()].filter(sortable);
+        const types = new Set(sorted.map(value => typeof value));
+        if (types.size > 1 || types.has("boolean")) {
+            sorted = null; // not sortable, e.g. mixed types
+            return;
+        }
+        sorted.sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+    }
+
+    // keys in dataframe order
+    const inOrder = keys => keys.sort((a, b) => ordinals.get(a) - ordinals.get(b));
+
+    return {
+        field,
+        invalidate() {
+            hash = values = ordinals = sorted = undefined;
+        },
+        values() {
+            if (!hash) build();
+            return [...values.values()];
+        },
+        /**
+         * @param {Array} eqValues
+         * @returns {String[]} keys of rows with one of the values
+         */
+        equal(eqValues) {
+            if (!hash) build();
+            if (eqValues.length == 1)
+                return hash.get(indexValue(eqValues[0])) ?? [];
+            const keys = [];
+            for (const value of new Set(eqValues.map(indexValue)))
+                keys.push(...(hash.get(value) ?? []));
+            return inOrder(keys);
+        },
+        /**
+         * @param {Object} range { min, minInclusive, max, maxInclusive }
+         * @returns {String[]|undefined} keys of rows within range, undefined if index is not sortable
+         */
+        range({ min, minInclusive = true, max, maxInclusive = true }) {
+            if (!hash) build();
+            if (sorted === undefined) buildSorted();
+            min = indexValue(min);
+            max = indexValue(max);
+            if (!sorted || [min, max].some(bound => bound !== undefined && sorted.length > 0 && typeof bound != typeof sorted[0]))
+                return;
+            let start = min === undefined ? 0 : d3.bisectLeft(sorted, min);
+            if (min !== undefined && !minInclusive && sorted[start] === min) start++;
+            let end = max === undefined ? sorted.length : d3.bisectRight(sorted, max);
+            if (max !== undefined && !maxInclusive && sorted[end - 1] === max) end--;
+            const keys = [];
+            for (let i = start; i < end; i++)
+                keys.push(...hash.get(sorted[i]));
+            // nulls compare as 0 in the filter, so they remain candidates
+            for (const [value, valueKeys] of hash)
+                if (!sortable(value)) keys.push(...valueKeys);
+            return inOrder(keys);
+        }
+    }
+}
+
+/**
+ * Keys of rows which may satisfy the filter spec, using an index on one of its top level field conditions.
+ * Rows still need to be tested against the full spec.
+ * @param {DataFrame} df
+ * @param {Object} filterSpec DDFQL where spec
+ * @returns {String[]|undefined} keys, or undefined if no index applies
+ */
+export function indexedKeys(df, filterSpec) {
+    const specKeys = Object.keys(filterSpec);
+    const conditions = specKeys.length == 1 && specKeys[0] == '$and'
+        ? filterSpec.$and
+        : specKeys.map(key => ({ [key]: filterSpec[key] }));
+    for (const condition of conditions) {
+        const [field] = Object.keys(condition);
+        if (Object.keys(condition).length != 1 || !df.indexes.has(field))
+            continue;
+        const keys = lookup(df.indexes.get(field), condition[field]);
+        if (keys !== undefined)
+            return keys;
+    }
+}
+
+function lookup(index, spec) {
+    if (spec == null || typeof spec != "object" || spec instanceof Date)
+        return index.equal([spec]);
+    if (Array.isArray(spec) || "$options" in spec)
+        return;
+    if ("$eq" in spec)
+        return index.equal([spec.$eq]);
+    if ("$in" in spec)
+        return index.equal([...spec.$in]);
+    const range = {};
+    if ("$between" in spec)
+        [range.min, range.max] = spec.$between;
+    if ("$gte" in spec) range.min = spec.$gte;
+    if ("$gt" in spec) [range.min, range.minInclusive] = [spec.$gt, false];
+    if ("$lte" in spec) range.max = spec.$lte;
+    if ("$lt" in spec) [range.max, range.maxInclusive] = [spec.$lt, false];
+    if ("min" in range || "max" in range)
+        return index.range(range);
+}
@@ -1,39 +1,111 @@
-import { normalizeKey } from "../dfutils";
+import { normalizeKey, createKeyFn, getIter } from "../dfutils";
 
 /**
  * Virtual data frame storage based on lookups. A row is constructed on request from lookups for each dimension of requested key.
+ * Enumerating the storage gives the cartesian product of all dimension values known in the lookups. Rows set on the storage override
+ * generated rows, deleted rows are left out of enumeration. `has`, `hasByStr` and enumeration agree on which rows exist,
+ * only `get` resolves any key, falling back to the dimension values themselves.
  * @param {*} concepts Map of concepts. Each concept is a map of dimensions. Each dimension is a map of values on that dimension. E.g. name=>geo=>swe=>Sweden
  */
 export function LookupStorage(concepts, keyArr) {
     const storage = {};
+    const overrides = new Map();
+    const deleted = new Set();
+    let productIndex;
+
     storage.key = keyArr = normalizeKey(keyArr);
-    storage.fields = new Set([...keyArr, ...concepts.keys()]);
+    storage.keyFn = createKeyFn(keyArr);
+    storage.fields = [...keyArr, ...concepts.keys()];
     storage.data = concepts;
-    storage.has = (keyObj) => {
-        // true if there is at least one concept which has a lookup for every dimension in key
-        // i.e. a row can be returned for this key
-        return true; //[...concepts.values()].some(lookups => keyArr.every(dim => dim in keyObj && lookups.has(dim)));
-    }    
+    storage.has = (keyObj) => storage.hasByStr(typeof keyObj == 'string' ? keyObj : storage.keyFn(keyObj));
     /**
-    * Given a key like 
-    * { 
-    *      geo: 'swe', 
-    *      gender: 'fem' 
-    * } 
-    * Returns e.g. 
-    * { 
-    *      name: { 
-    *          geo: 'Sweden', 
-    *          gender: 'Female' 
-    *      }, 
-    *      description: { 
-    *          geo: 'foo', 
-    *          gender: 'bar' 
+    * Given a key like
+    * {
+    *      geo: 'swe',
+    *      gender: 'fem'
+    * }
+    * Returns e.g.
+    * {
+    *      geo: 'swe',
+    *      gender: 'fem',
+    *      name: {
+    *          geo: 'Sweden',
+    *          gender: 'Female'
+    *      },
+    *      description: {
+    *          geo: 'foo',
+    *          gender: 'bar'
     *      }
     *  }
     */
     storage.get = (keyObj) => {
+        if (typeof keyObj == 'string')
+            return storage.getByStr(keyObj);
+        const keyStr = storage.keyFn(keyObj);
+        if (overrides.has(keyStr))
+            return overrides.get(keyStr);
+        if (deleted.has(keyStr))
+            return undefined;
+        return createRow(keyObj, keyStr);
+    }
+    storage.hasByStr = (keyStr) => overrides.has(keyStr) || !deleted.has(keyStr) && getProductIndex().has(keyStr);
+    storage.getByStr = (keyStr) => {
+        if (overrides.has(keyStr))
+            return overrides.get(keyStr);
+        if (deleted.has(keyStr) || !getProductIndex().has(keyStr))
+            return undefined;
+        return createRow(getProductIndex().get(keyStr), keyStr);
+    }
+    storage.hasByObjOrStr = (keyObj, keyStr) => storage.has(keyObj);
+    storage.getByObjOrStr = (keyObj, keyStr) => storage.get(keyObj);
+    storage.set = (row, keyStr = storage.keyFn(row)) => {
+        row[Symbol.for('key')] = keyStr;
+        deleted.delete(keyStr);
+        overrides.set(keyStr, row);
+    }
+    storage.setByStr = (keyStr, row) => storage.set(row, keyStr);
+    storage.batchSet = (data) => {
+        for (const row of getIter(data))
+            storage.set(row);
+    }
+    storage.delete = (keyStr) => {
+        const existed = storage.hasByStr(keyStr);
+        overrides.delete(keyStr);
+        if (getProductIndex().has(keyStr))
+            deleted.add(keyStr);
+        return existed;
+    }
+    storage.keys = function* () {
+        for (const keyStr of getProductIndex().keys()) {
+            if (!deleted.has(keyStr) || overrides.has(keyStr))
+                yield keyStr;
+        }
+        for (const keyStr of overrides.keys()) {
+            if (!getProductIndex().has(keyStr))
+                yield keyStr;
+        }
+    }
+    storage.values = function* () {
+        for (const keyStr of storage.keys())
+            yield storage.getByStr(keyStr);
+    }
+    storage.entries = function* () {
+        for (const keyStr of storage.keys())
+            yield [keyStr, storage.getByStr(keyStr)];
+    }
+    storage.rows = storage.values;
+    storage[Symbol.iterator] = storage.entries;
+    Object.defineProperty(storage, 'size', {
+        get: () => {
+            let size = 0;
+            for (const keyStr of storage.keys()) size++;
+            return size;
+        }
+    });
+
+    function createRow(keyObj, keyStr) {
         const row = {};
+        keyArr.forEach(dim => row[dim] = keyObj[dim]);
         concepts.forEach((lookups, concept) => {
             const entityProps = {};
             keyArr.forEach(dim => {
@@ -44,17 +116,49 @@ export function LookupStorage(concepts, keyArr) {
             });
             row[concept] = entityProps;
         });
+        row[Symbol.for('key')] = keyStr;
         return row;
     }
-    storage.hasByObjOrStr = (keyObj, keyStr) => storage.has(keyObj);
-    storage.getByObjOrStr = (keyObj, keyStr) => storage.get(keyObj);
-    storage.set = (keyObj, value) => { 
-        console.warn("Invalid operation. Generated dataframe does not support .set().")
-    }
-    storage.values = () => { console.warn("Generated dataframe .values() not implemented yet")};
-    storage.delete = () => { console.warn("Invalid operation. Generated dataframe does not support .delete()")};
-    storage[Symbol.iterator] = function* generate() {
-        console.warn("Invalid operation. Generated dataframe iterator not yet implemented.");
-    } 
+
+    // lookups don't change, so the cartesian product of known dimension values is only calculated once
+    function getProductIndex() {
+        if (!productIndex) {
+            productIndex = new Map();
+            for (const keyObj of cartesianProduct(keyArr, dimensionValues(concepts, keyArr))) {
+                productIndex.set(storage.keyFn(keyObj), keyObj);
+            }
+        }
+        return productIndex;
+    }
+
     return storage;
-}
\ No newline at end of file
+}
+
+/**
+ * Values of each dimension, over all concepts' lookups
+ * @returns {Map} dimension => Set of values
+ */
+function dimensionValues(concepts, keyArr) {
+    const values = new Map(keyArr.map(dim => [dim, new Set()]));
+    for (const lookups of concepts.values()) {
+        for (const dim of keyArr) {
+            if (lookups.has(dim)) {
+                for (const value of lookups.get(dim).keys())
+                    values.get(dim).add(value);
+            }
+        }
+    }
+    return values;
+}
+
+function* cartesianProduct(keyArr, values, keyObj = {}, i = 0) {
+    if (i === keyArr.length) {
+        if (i > 0) yield Object.assign({}, keyObj);
+        return;
+    }
+    const dim = keyArr[i];
+    for (const value of values.get(dim)) {
+        keyObj[dim] = value;
+        yield* cartesianProduct(keyArr, values, keyObj, i + 1);
+    }
+}
@@ -1,9 +1,12 @@
 import { normalizeKey, getIter, createKeyFn, arrayEquals, unique } from "../dfutils";
+import { createDuplicatesResolver, resolveDuplicates } from "./duplicates";
 
-export function MapStorage(data = [], keyArr = data.key || []) {
+export function MapStorage(data = [], keyArr = data.key || [], { duplicates = 'last' } = {}) {
     
     const storage = createEmptyMap();
     storage.key = keyArr;
+    createDuplicatesResolver(duplicates, storage.key); // throws on unknown policy
+    storage.duplicatesPolicy = duplicates;
     storage.batchSet(data);
 
     return storage;
@@ -70,20 +73,23 @@ function batchSet(storage, data) {
     if (!storage.incrementIndex) {
 
         let keyStr;
-        const duplicates = [];
+        const duplicates = new Map();
         const keyFn = Array.isArray(data.key) && arrayEquals(storage.key, data.key)
             ? row => row[Symbol.for('key')]
             : row => row[Symbol.for('key')] = storage.keyFn(row);
 
         for (let row of iter) {
             keyStr = keyFn(row);
-            if (storage.hasByStr(keyStr))
-                duplicates.push({ keyStr, orig: storage.getByStr(keyStr), new: row})
+            if (storage.hasByStr(keyStr)) {
+                if (!duplicates.has(keyStr))
+                    duplicates.set(keyStr, [storage.getByStr(keyStr)]);
+                duplicates.get(keyStr).push(row);
+            }
             storage.setByStr(keyStr, row);
         }
 
-        if (duplicates.length > 0)
-            console.warn('Found duplicates for given key when constructing dataframe.', { key: storage.key, duplicates });
+        if (duplicates.size > 0)
+            storage.duplicates = resolveDuplicates(storage, duplicates, storage.duplicatesPolicy);
 
     } else {
         for (let row of iter) {
@@ -1,10 +1,14 @@
+import { compileExpression } from "../expression";
+import { invalidateIndexes } from "../storage/indexes";
+
 /**
  * Adds column to df, in place
  * @param {DataFrame} df 
  * @param {string} name 
- * @param {value|function} value 
+ * @param {value|function|{ expression: string }} value constant, function of row or expression (see `compileExpression`)
  */
 export function addColumn(df, name, value) {
+    value = columnValue(value);
     if (typeof value == "function") {
         for (let row of df.values()) {
             row[name] = value(row);
@@ -15,5 +19,10 @@ export function addColumn(df, name, value) {
             row[name] = value;
         }
     }
-    return df;
+    return invalidateIndexes(df);
+}
+
+// compile `{ expression }` to function of row, other values are used as is
+export function columnValue(value) {
+    return typeof value?.expression == "string" ? compileExpression(value.expression) : value;
 }
\ No newline at end of file
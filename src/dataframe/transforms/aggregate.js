@@ -0,0 +1,98 @@
+import { DataFrame } from "../dataFrame";
+import { createKeyFn, getIter, isNonNullObject, pick } from "../dfutils";
+
+/**
+ * Aggregate rows of a dataframe into groups and reduce measures per group. Returns a new dataframe keyed by `by`.
+ * @param {DataFrame|Iterable} df DataFrame or any iterable of rows
+ * @param {Object} spec
+ * @param {String[]} spec.by Fields to group by, also key of resulting dataframe. Empty array aggregates to one row.
+ * @param {Object} spec.measures Object with resulting fields as keys and reducers as values. A reducer is either
+ * a reducer name, e.g. `'sum'`, or an object with the reducer name as key and options as value, e.g. `{ mean: { weight: 'pop' } }`.
+ * Options can contain `field` to reduce a field other than the resulting field, e.g. `pop_max: { max: { field: 'pop' } }`.
+ * @returns {DataFrame}
+ */
+export function aggregate(df, { by = [], measures = {} } = {}) {
+    by = Array.isArray(by) ? by : [by];
+    const measureReducers = normalizeMeasures(measures);
+    const keyFn = createKeyFn(by);
+
+    const groups = new Map();
+    for (const row of getIter(df)) {
+        const keyStr = keyFn(row);
+        let group = groups.get(keyStr);
+        if (!group) {
+            group = { keyObj: pick(row, by), rows: [] };
+            groups.set(keyStr, group);
+        }
+        group.rows.push(row);
+    }
+
+    const result = DataFrame([], by);
+    for (const { keyObj, rows } of groups.values()) {
+        const newRow = keyObj;
+        for (const { name, field, reducer, options } of measureReducers) {
+            newRow[name] = reducer(rows, field, options);
+        }
+        result.set(newRow);
+    }
+    return result;
+}
+
+function normalizeMeasures(measures) {
+    return Object.entries(measures).map(([name, spec]) => {
+        let reducerName, options = {};
+        if (typeof spec == "string") {
+            reducerName = spec;
+        } else if (isNonNullObject(spec)) {
+            reducerName = Object.keys(spec)[0];
+            options = isNonNullObject(spec[reducerName]) ? spec[reducerName] : { p: spec[reducerName] };
+        }
+        if (!(reducerName in reducers))
+            throw new Error(`Unknown aggregation reducer "${reducerName}" for measure "${name}". Use one of: ${Object.keys(reducers).join(', ')}.`);
+        return {
+            name,
+            field: options.field ?? name,
+            reducer: reducers[reducerName],
+            options
+        };
+    });
+}
+
+const valueOf = field => row => row[field];
+
+/**
+ * Reducers take an array of rows, the field to reduce and options. Nullish values are ignored.
+ */
+export const reducers = {
+    sum: (rows, field) => d3.sum(rows, valueOf(field)),
+    mean: (rows, field, { weight }) => weight
+        ? weightedMean(rows, field, weight)
+        : d3.mean(rows, valueOf(field)),
+    min: (rows, field) => d3.min(rows, valueOf(field)),
+    max: (rows, field) => d3.max(rows, valueOf(field)),
+    count: (rows, field) => {
+        let count = 0;
+        for (const row of rows)
+            if (row[field] != null) count++;
+        return count;
+    },
+    first: (rows, field) => rows.find(row => row[field] != null)?.[field],
+    last: (rows, field) => {
+        for (let i = rows.length - 1; i >= 0; i--)
+            if (rows[i][field] != null) return rows[i][field];
+    },
+    median: (rows, field) => d3.median(rows, valueOf(field)),
+    quantile: (rows, field, { p }) => d3.quantile(rows, p, valueOf(field))
+}
+
+function weightedMean(rows, field, weight) {
+    let sum = 0, weightSum = 0;
+    for (const row of rows) {
+        const value = row[field], w = row[weight];
+        if (value != null && w != null) {
+            sum += value * w;
+            weightSum += w;
+        }
+    }
+    return weightSum ? sum / weightSum : undefined;
+}
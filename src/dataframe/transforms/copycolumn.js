@@ -1,6 +1,8 @@
+import { invalidateIndexes } from "../storage/indexes";
+
 export function copyColumn(df, srcCol, newCol) {
     for (let row of df.values()) {
         row[newCol] = row[srcCol];
     }
-    return df;
+    return invalidateIndexes(df);
 }
\ No newline at end of file
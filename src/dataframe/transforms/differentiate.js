@@ -1,12 +1,108 @@
-/*
-  "Differentiate" a given field in this dataframe.
-*/
-export function differentiate(df, xField = 'x', yField = 'time') {
-  let prevX, prevY;
-  for (let row of df.values()) {
-    const difference = prevX ? row[xField] - prevX : 0;
-    prevX = row[xField];
-    row[xField] = difference;
-  }
-  return df;
-}
\ No newline at end of file
+import { DataFrame } from "../dataFrame";
+import { createKeyFn } from "../dfutils";
+import { getOrCreate } from "../../core/utils";
+
+/**
+ * Differentiation modes. Take the previous and current value and the distance in steps between them.
+ * Return null when the change is undefined, e.g. growth from zero.
+ */
+export const differentiators = {
+    absolute: (prev, value) => value - prev,
+    percent: (prev, value) => prev == 0 ? null : (value / prev - 1) * 100,
+    logDiff: (prev, value) => prev > 0 && value > 0 ? Math.log(value) - Math.log(prev) : null,
+    // compound annual growth rate, per step
+    cagr: (prev, value, distance) => prev > 0 && value >= 0 ? Math.pow(value / prev, 1 / distance) - 1 : null
+}
+
+// change of rows without previous value. Absolute differences start at 0, so first frames aren't dropped as missing.
+function firstChange(mode = 'absolute') {
+    return mode == 'absolute' ? 0 : null;
+}
+
+function getDifferentiator(mode = 'absolute') {
+    if (typeof mode == "function")
+        return mode;
+    if (!(mode in differentiators))
+        throw new Error(`Unknown differentiation mode "${mode}". Use one of: ${Object.keys(differentiators).join(', ')}.`);
+    return differentiators[mode];
+}
+
+/**
+ * Differentiate a field per marker: the change of its value compared to the previous row of the same marker.
+ * Rows are partitioned by `partitionBy` and ordered by `orderBy`. Rows without a previous value get 0 in absolute mode and null in other modes.
+ * Distance between rows is counted in steps of the distinct `orderBy` values in the dataframe.
+ * @param {DataFrame} df
+ * @param {String} field field to differentiate, is overwritten with the change
+ * @param {Object} options
+ * @param {String} options.orderBy field to order by, defaults to 'time'
+ * @param {String[]} options.partitionBy fields to partition by, defaults to `df.key` without `orderBy`
+ * @param {String|Function} options.mode one of `differentiators` or a function `(prev, value, distance) => change`. Defaults to absolute.
+ * @returns {DataFrame} new dataframe with copied rows
+ */
+export function differentiate(df, field = 'x', { orderBy = 'time', partitionBy, mode } = {}) {
+    const differentiator = getDifferentiator(mode);
+    partitionBy = partitionBy ?? df.key.filter(dim => dim !== orderBy);
+    const partitionKeyFn = createKeyFn(partitionBy);
+
+    const orderValue = row => row[orderBy] instanceof Date ? row[orderBy].getTime() : row[orderBy];
+    const steps = new Map(d3.sort(new Set([...df.values()].map(orderValue))).map((value, i) => [value, i]));
+    const stepOf = row => steps.get(orderValue(row));
+
+    const partitions = new Map();
+    for (const row of df.values())
+        getOrCreate(partitions, partitionKeyFn(row), () => []).push(Object.assign({}, row));
+
+    const rows = [];
+    for (const partition of partitions.values()) {
+        partition.sort((a, b) => stepOf(a) - stepOf(b));
+        differentiateRows(partition, stepOf, field, differentiator, firstChange(mode));
+        rows.push(...partition);
+    }
+    rows.key = df.key;
+    return DataFrame(rows);
+}
+
+/**
+ * Differentiate a field per marker over the members of a group, e.g. over the frames of a frameMap.
+ * Distance is counted in members, so interpolated frames count as steps and gaps where a marker is missing are bridged.
+ * @param {DataFrameGroup} group
+ * @param {String} field
+ * @param {Object} options
+ * @param {String|Function} options.mode see `differentiate`
+ * @returns {DataFrameGroup} new group with copied rows
+ */
+export function differentiateGroup(group, field = 'x', { mode } = {}) {
+    const differentiator = getDifferentiator(mode);
+    const steps = new Map(); // row -> member index
+    const partitions = new Map(); // marker key -> rows
+    let step = 0;
+    const result = group.map(member => {
+        const newMember = DataFrame([], member.key);
+        for (const [key, row] of member) {
+            const newRow = Object.assign({}, row);
+            newMember.set(newRow, key);
+            steps.set(newRow, step);
+            getOrCreate(partitions, key, () => []).push(newRow);
+        }
+        step++;
+        return newMember;
+    });
+    for (const partition of partitions.values())
+        differentiateRows(partition, row => steps.get(row), field, differentiator, firstChange(mode));
+    return result;
+}
+
+function differentiateRows(rows, stepOf, field, differentiator, first) {
+    let prev; // { value, step }
+    for (const row of rows) {
+        const value = row[field];
+        if (value === undefined)
+            continue;
+        const step = stepOf(row);
+        row[field] = value == null ? null
+            : prev ? differentiator(prev.value, value, step - prev.step)
+            : first;
+        if (value != null)
+            prev = { value, step };
+    }
+}
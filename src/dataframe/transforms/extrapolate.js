@@ -1,7 +1,19 @@
-import { assign, pickGetters, relativeComplement } from "../../core/utils";
+import { assign, getOrCreate, pickGetters, relativeComplement } from "../../core/utils";
 
+/**
+ * Extrapolate markers over the members of a group, e.g. over frames of a frameMap. Returns a new group.
+ * Extrapolated rows get `Symbol.for('extrapolated')`, an object with the source row per extrapolated field.
+ * @param {DataFrameGroup} group 
+ * @param {Object} options
+ * @param {String[]} options.fields fields to extrapolate
+ * @param {Number} options.sizeLimit max number of members to extrapolate over, before first and after last value
+ * @param {Number[]} options.indexLimit first and last member index to extrapolate to
+ * @param {String|Function|Object} options.method extrapolation method, or object with method per field, e.g. `{ x: 'linear', size: 'growthRate' }`. See `extrapolators`. Defaults to constant.
+ * @param {Number} options.points number of known values used by trend methods
+ * @param {Function} options.ammendNewRow called with rows which are created for extrapolation
+ */
 export function extrapolateGroup(group, options) {
-    const { fields = group.fields, sizeLimit, indexLimit, ammendNewRow = r => r } = options;
+    const { fields = group.fields, sizeLimit = Infinity, indexLimit, method = "constant", points = 5, ammendNewRow = r => r } = options;
     const frameKeys = [...group.keys()];
     // limits extrapolation to certain range, used by frame to limit to future filterRequired result
     const [firstIndex, lastIndex] = indexLimit ?? [0, frameKeys.length - 1]; 
@@ -31,53 +43,91 @@ export function extrapolateGroup(group, options) {
     const newGroup = group.copy();
 
     for (const field of fields) {
-        const lastIndices = new Map();
+        const extrapolator = getExtrapolator(typeof method == "object" ? method[field] : method);
+
+        // indices of frames in which marker has a value
+        const indicesPerMarker = new Map();
         for (let idx = firstIndex; idx < lastIndex + 1; idx++) {
-            const frameKey = frameKeys[idx];
-            const frame = newGroup.get(frameKey);
+            const frame = newGroup.get(frameKeys[idx]);
             for (const markerKey of frame.keys()) {
-                const marker = frame.getByStr(markerKey);
-                if (marker[field] != null) {
-                    if (!lastIndices.has(markerKey) && idx > 0) {
-                        // first occurence, extrapolate backwards
-                        const fromIdx = Math.max(firstIndex, idx - sizeLimit);
-                        const frames = getFrames(newGroup, fromIdx, idx, frameKeys);
-                        doExtrapolate(frames, marker, field, copyOrCreate);
-                    }
-                    // keep track of last occurence
-                    lastIndices.set(markerKey, idx);
-                }
+                if (frame.getByStr(markerKey)[field] != null)
+                    getOrCreate(indicesPerMarker, markerKey, () => []).push(idx);
             }
         }
-        for (const markerKey of lastIndices.keys()) {
-            const lastSeenIndex = lastIndices.get(markerKey);
-            if (lastSeenIndex === lastIndex)
-                continue;
-            const sourceFrame = newGroup.get(frameKeys[lastSeenIndex]);
-            const fromIdx = Math.min(lastIndex + 1, lastSeenIndex + 1);
-            const toIdx = Math.min(lastIndex + 1, fromIdx + sizeLimit);
-            const frames = getFrames(newGroup, fromIdx, toIdx, frameKeys);
-            const sourceMarker = sourceFrame.getByStr(markerKey)
-            doExtrapolate(frames, sourceMarker, field, copyOrCreate);
+
+        for (const [markerKey, indices] of indicesPerMarker) {
+            const getMarker = idx => newGroup.get(frameKeys[idx]).getByStr(markerKey);
+            const firstSeenIndex = indices[0];
+            const lastSeenIndex = indices[indices.length - 1];
+
+            if (firstSeenIndex > 0) {
+                // extrapolate backwards from first occurence
+                const fromIdx = Math.max(firstIndex, firstSeenIndex - sizeLimit);
+                const knownPoints = indices.slice(0, points).map(idx => [idx, getMarker(idx)[field]]);
+                doExtrapolate(newGroup, frameKeys, fromIdx, firstSeenIndex, getMarker(firstSeenIndex), field, knownPoints, extrapolator, copyOrCreate);
+            }
+            if (lastSeenIndex !== lastIndex) {
+                // extrapolate forwards from last occurence
+                const fromIdx = Math.min(lastIndex + 1, lastSeenIndex + 1);
+                const toIdx = Math.min(lastIndex + 1, fromIdx + sizeLimit);
+                const knownPoints = indices.slice(-points).map(idx => [idx, getMarker(idx)[field]]);
+                doExtrapolate(newGroup, frameKeys, fromIdx, toIdx, getMarker(lastSeenIndex), field, knownPoints, extrapolator, copyOrCreate);
+            }
         }
     }
 
     return newGroup;
 }
 
-function getFrames(group, fromIdx, toIdx, frameKeys) {
-    const frames = [];
-    for (let i = fromIdx; i < toIdx; i++) {
-        frames.push(group.get(frameKeys[i]));
+function doExtrapolate(group, frameKeys, fromIdx, toIdx, sourceMarker, field, points, extrapolator, copyOrCreate) {
+    const markerKey = sourceMarker[Symbol.for('key')];
+    for (let idx = fromIdx; idx < toIdx; idx++) {
+        const extraMarker = copyOrCreate(group.get(frameKeys[idx]), markerKey, sourceMarker);
+        extraMarker[field] = extrapolator(points, idx);
+        extraMarker[Symbol.for('extrapolated')][field] = sourceMarker;
     }
-    return frames;
 }
 
-function doExtrapolate(frames, sourceMarker, field, copyOrCreate) {
-    const markerKey = sourceMarker[Symbol.for('key')];
-    for (const extraMember of frames) {
-        const extraMarker = copyOrCreate(extraMember, markerKey, sourceMarker);
-        extraMarker[field] = sourceMarker[field];
-        extraMarker[Symbol.for('extrapolated')][field] = sourceMarker;
+/**
+ * Extrapolation methods. An extrapolator takes known points `[[index, value], ...]`, sorted by frame index, 
+ * and returns the value at frame `index` outside of the points.
+ */
+export const extrapolators = {
+    // copy nearest known value
+    constant: (points, index) => nearest(points, index)[1],
+    // least squares line through points
+    linear: (points, index) => {
+        if (points.length < 2 || !points.every(([, value]) => typeof value == "number"))
+            return nearest(points, index)[1];
+        const meanX = d3.mean(points, d => d[0]);
+        const meanY = d3.mean(points, d => d[1]);
+        const slope = d3.sum(points, ([x, y]) => (x - meanX) * (y - meanY)) / d3.sum(points, ([x]) => (x - meanX) ** 2);
+        return meanY + slope * (index - meanX);
+    },
+    // compound growth rate between first and last point, continued from nearest point
+    growthRate: (points, index) => {
+        const [x0, y0] = points[0];
+        const [x1, y1] = points[points.length - 1];
+        const [x, y] = nearest(points, index);
+        if (points.length < 2 || !(y0 > 0 && y1 > 0))
+            return y;
+        const rate = Math.pow(y1 / y0, 1 / (x1 - x0));
+        return y * Math.pow(rate, index - x);
     }
 }
+
+function nearest(points, index) {
+    return index < points[0][0] ? points[0] : points[points.length - 1];
+}
+
+/**
+ * @param {String|Function} method name of method in `extrapolators` or custom extrapolator function. Defaults to constant.
+ * @returns {Function} extrapolator
+ */
+export function getExtrapolator(method = "constant") {
+    if (typeof method == "function")
+        return method;
+    if (!(method in extrapolators))
+        throw new Error(`Unknown extrapolation method "${method}". Use one of: ${Object.keys(extrapolators).join(', ')} or a function.`);
+    return extrapolators[method];
+}
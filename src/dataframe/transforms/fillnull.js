@@ -1,4 +1,5 @@
 import { isNonNullObject } from "../dfutils";
+import { invalidateIndexes } from "../storage/indexes";
 
 export function fillNull(df, fillValues) {
     let concept, row;
@@ -31,5 +32,5 @@ export function fillNull(df, fillValues) {
             }
         }
     }
-    return df;
+    return invalidateIndexes(df);
 }
\ No newline at end of file
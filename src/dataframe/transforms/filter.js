@@ -1,5 +1,6 @@
-import { deepclone, pipe, isString } from "../../core/utils";
+import { isString } from "../../core/utils";
 import { DataFrame } from "../dataFrame";
+import { indexedKeys } from "../storage/indexes";
 
 /**
  * Filters dataframe based on either filter function or DDFQL filter specification
@@ -14,8 +15,13 @@ export function filter(df, filter) {
     const filterFn = (typeof filter == "function") ? 
         filter : createFilterFn(filter);    
 
+    // only test rows found through secondary index, if any applies
+    const keys = typeof filter == "object" && df.indexes?.size > 0
+        ? indexedKeys(df, filter) ?? df.keys()
+        : df.keys();
+
     const result = DataFrame([], df.key);
-    for(let key of df.keys()) {
+    for(let key of keys) {
         const row = df.getByStr(key);
         if (filterFn(row))
             result.set(row, key);
@@ -24,82 +30,140 @@ export function filter(df, filter) {
     return result;
 }
 
-function validFilterArg(filter) {
+export function validFilterArg(filter) {
     return filter && (typeof filter === "function" || Object.keys(filter).length > 0)
 }
 
 /**
- * Create a function, given a filter spec
+ * Create a function, given a filter spec. The spec is compiled to nested closures once, so no code is evaluated (CSP-safe)
+ * and field names are never interpreted as code.
  * @param {Object} filterSpec Filter specification according to DDFQL WHERE spec
  * @returns {Function} Filter function, which takes an object and returns a boolean representing if the object satifies the filterSpec
  */
 export function createFilterFn(filterSpec = {}) {
-    let fn = 'return '
-    fn += createFilterFnString(filterSpec);
-    fn += ';';
-    return new Function('row', fn);
+    return compileFilter(filterSpec);
 }
 
-function normalizeFilter(filterSpec) {
-    
-    filterSpec = deepclone(filterSpec);
-    filterSpec = implicitAnd(filterSpec);
-    filterSpec = implicitEq(filterSpec);
-
-    return filterSpec;
-
-    function implicitAnd(filter) {
-        const keys = Object.keys(filter);
-        if (keys.length > 1) {
-            return { $and: 
-                keys.map(key => ({ [key]: filter[key] }))
-            };
-        } else {
-            return filter;
-        }
+function compileFilter(filterSpec) {
+    const keys = Object.keys(filterSpec);
+    if (keys.length == 0)
+        return () => true;
+    // implicit $and
+    if (keys.length > 1)
+        return logical.$and(keys.map(key => ({ [key]: filterSpec[key] })));
+
+    const key = keys[0];
+    if (key.startsWith('$')) {
+        if (!(key in logical))
+            throw new Error(`Unknown logical filter operator "${key}". Use one of: ${Object.keys(logical).join(', ')}.`);
+        return logical[key](filterSpec[key]);
     }
-    
-    function implicitEq(filter) {
-        const key = Object.keys(filter)[0]
-        if (!key.startsWith('$') && typeof filter[key] != "object") {
-            filter[key] = { $eq: filter[key] }
-        }
-        return filter;
+    return compileField(key, filterSpec[key]);
+}
+
+function compileField(field, spec) {
+    // implicit $eq
+    if (!isOperatorObject(spec))
+        spec = { $eq: spec };
+
+    const options = spec.$options ?? '';
+    const predicates = Object.keys(spec)
+        .filter(operator => operator != '$options')
+        .map(operator => {
+            if (!(operator in comparison))
+                throw new Error(`Unknown filter operator "${operator}" on field "${field}". Use one of: ${Object.keys(comparison).join(', ')}.`);
+            return comparison[operator](spec[operator], options);
+        });
+
+    if (predicates.length == 1) {
+        const predicate = predicates[0];
+        return row => predicate(row[field]);
+    }
+    return row => {
+        const value = row[field];
+        for (let i = 0; i < predicates.length; i++)
+            if (!predicates[i](value)) return false;
+        return true;
     }
 }
 
-/**
- * Returns a string function body for the given filter spec. This method was tested to be faster than walking through filterSpec "run-time".
- * @param {*} filterSpec 
- * @returns 
- */
-function createFilterFnString(filterSpec) {
-    filterSpec = normalizeFilter(filterSpec);
-    let key = Object.keys(filterSpec)[0];
-    if (key.startsWith('$')) {
-        return logicalToString[key](filterSpec[key]);
-    } else {
-        const operator = Object.keys(filterSpec[key])[0];
-        return comparisonToString[operator](key, JSON.stringify(filterSpec[key][operator]));
-    } 
-    
+function isOperatorObject(spec) {
+    return spec != null && typeof spec == "object" && !(spec instanceof Date) && !Array.isArray(spec);
+}
+
+const logical = {
+    '$not': (spec) => {
+        const fn = compileFilter(spec);
+        return row => !fn(row);
+    },
+    '$and': (spec) => {
+        const fns = spec.map(compileFilter);
+        return row => {
+            for (let i = 0; i < fns.length; i++)
+                if (!fns[i](row)) return false;
+            return true;
+        }
+    },
+    '$or': (spec) => {
+        const fns = spec.map(compileFilter);
+        return row => {
+            for (let i = 0; i < fns.length; i++)
+                if (fns[i](row)) return true;
+            return false;
+        }
+    },
+    '$nor': (spec) => {
+        const fn = logical.$or(spec);
+        return row => !fn(row);
+    }
 }
 
-const logicalToString = {
-    '$not': (spec) => `!${createFilterFnString(spec)}`,
-    '$and': (spec) => `(${spec.map(createFilterFnString).join(' && ')})`,
-    '$or':  (spec) => `(${spec.map(createFilterFnString).join(' || ')})`,
-    '$nor': (spec) => `!(${spec.map(createFilterFnString).join(' || ')})`,
+// make values comparable: dates by time, strings lowercase when case-insensitive ($options: 'i')
+function normalizer(options) {
+    const caseInsensitive = options.includes('i');
+    return value => value instanceof Date ? value.getTime()
+        : caseInsensitive && typeof value == "string" ? value.toLowerCase()
+        : value;
 }
-const comparisonToString = {
-    "$eq":  (field, val) => `row.${field} === ${val}`,
-    "$ne":  (field, val) => `row.${field} !== ${val}`,
-    "$gt":  (field, val) => `row.${field} > ${val}`,
-    "$gte": (field, val) => `row.${field} >= ${val}`,
-    "$lt":  (field, val) => `row.${field} < ${val}`,
-    "$lte": (field, val) => `row.${field} <= ${val}`,
-    "$in":  (field, val) => `${val}.includes(row.${field})`,
-    "$nin": (field, val) => `!${val}.includes(row.${field})`,
+
+const comparison = {
+    "$eq":  (val, options) => {
+        const norm = normalizer(options);
+        val = norm(val);
+        return value => norm(value) === val;
+    },
+    "$ne":  (val, options) => {
+        const eq = comparison.$eq(val, options);
+        return value => !eq(value);
+    },
+    "$gt":  (val) => value => value > val,
+    "$gte": (val) => value => value >= val,
+    "$lt":  (val) => value => value < val,
+    "$lte": (val) => value => value <= val,
+    "$between": ([min, max]) => value => value >= min && value <= max,
+    "$in":  (val, options) => {
+        const norm = normalizer(options);
+        const set = new Set([...val].map(norm));
+        return value => set.has(norm(value));
+    },
+    "$nin": (val, options) => {
+        const inFn = comparison.$in(val, options);
+        return value => !inFn(value);
+    },
+    "$exists": (val) => value => (value !== undefined) === !!val,
+    "$regex": (val, options) => {
+        const regex = val instanceof RegExp 
+            ? new RegExp(val.source, (options || val.flags).replace('g', ''))
+            : new RegExp(val, options.replace('g', ''));
+        return value => typeof value == "string" && regex.test(value);
+    },
+    // array values
+    "$all": (val, options) => {
+        const norm = normalizer(options);
+        const required = [...val].map(norm);
+        return value => Array.isArray(value) && required.every(req => value.some(v => norm(v) === req));
+    },
+    "$size": (val) => value => Array.isArray(value) && value.length === val,
 }
 
 export function filterNullish(df, fields) {
@@ -69,7 +69,7 @@ export function normalizeParams(params) {
     return params
         .map(normalizeParam)
         .reduce((params, param) => {
-            const baseParam = params.find(baseParam => baseParam.dataFrame === param.dataFrame);
+            const baseParam = params.find(baseParam => baseParam.dataFrame === param.dataFrame && sameOn(baseParam.on, param.on));
             if (baseParam)
                 mergeProjections(baseParam, param);
             else
@@ -95,6 +95,14 @@ function normalizeParam(param) {
     return param;
 }
 
+// join fields of params, e.g. { world_4region: 'region' }, must be equal to merge params
+function sameOn(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    const entries = Object.entries(a);
+    return entries.length == Object.keys(b).length && entries.every(([leftField, rightField]) => b[leftField] === rightField);
+}
+
 function mergeProjections(destParam, sourceParam) {
     for (const [sourceField, destFields] of Object.entries(sourceParam.projection)) {
         if (sourceField in destParam.projection) 
@@ -1,50 +1,60 @@
-import { assign, pickGetters, relativeComplement } from "../../core/utils";
+import { assign, getOrCreate, pickGetters, relativeComplement } from "../../core/utils";
+import { getInterpolator } from "./interpolators";
+import { invalidateIndexes } from "../storage/indexes";
 
 /**
  * Interpolate within a dataframe. Fill missing values in rows. Inplace.
  * @param {*} df 
+ * @param {String[]} fields fields to interpolate
+ * @param {Object} methods interpolation method per field, e.g. `{ size: 'log', color: 'step' }`. See `interpolators`. Defaults to linear.
  */
-export function interpolate(df, fields = df.fields) {
+export function interpolate(df, fields = df.fields, methods = {}) {
     for (let field of fields) {
-        interpolateField(df, field);
+        interpolateField(df, field, getInterpolator(methods[field]));
     }
-    return df;
+    return invalidateIndexes(df);
 }
 
-function interpolateField(df, field) {
-    const gap = newGap();
-    for (let row of df.values()) {
-        evaluateGap(row, field, gap);
-    }
-}
-
-export function newGap() {
-    return {
-        start: undefined,
-        rows: []
-    }
+function interpolateField(df, field, interpolator) {
+    const rows = [...df.values()];
+    const indices = [];
+    rows.forEach((row, i) => {
+        if (row[field] != null) // faster for undefined/null check
+            indices.push(i);
+    });
+    interpolateGaps(indices, i => rows[i], i => rows[i], field, interpolator);
 }
 
-export function evaluateGap(row, field, gap) {
-    const { rows, start } = gap;
-    const fieldVal = row[field];
-    if (fieldVal == null) { // faster for undefined/null check
-        if (start !== undefined)
-            rows.push(row);
-    } else {
-        // fill gap if it exists and is inner
-        if (rows.length > 0) {
-            interpolateGap(rows, start, row, field);
-            rows.length = 0;
+/**
+ * Fill inner gaps between indices which have a value
+ * @param {Number[]} indices sorted indices of rows with value
+ * @param {Function} getRow i => row with value
+ * @param {Function} getGapRow (i, endRow) => row to fill
+ */
+function interpolateGaps(indices, getRow, getGapRow, field, interpolator) {
+    for (let k = 1; k < indices.length; k++) {
+        const start = indices[k - 1], end = indices[k];
+        if (end - start <= 1) 
+            continue;
+        const startRow = getRow(start);
+        const endRow = getRow(end);
+        const gapRows = [];
+        for (let j = start + 1; j < end; j++)
+            gapRows.push(getGapRow(j, endRow));
+        // values around gap, for interpolators which take curvature into account
+        const length = end - start;
+        const context = {
+            before: k > 1 ? { value: getRow(indices[k - 2])[field], distance: (start - indices[k - 2]) / length } : undefined,
+            after: k < indices.length - 1 ? { value: getRow(indices[k + 1])[field], distance: (indices[k + 1] - end) / length } : undefined
         }
-        gap.start = row;
+        interpolateGap(gapRows, startRow, endRow, field, interpolator, context);
     }
 }
 
-function interpolateGap(gapRows, startRow, endRow, field) {
+function interpolateGap(gapRows, startRow, endRow, field, interpolator, context) {
     const startVal = startRow[field];
     const endVal = endRow[field];
-    const int = d3.interpolate(startVal, endVal);
+    const int = interpolator(startVal, endVal, context);
     const delta = 1 / (gapRows.length+1);
     let mu = 0;
     for (let gapRow of gapRows) {
@@ -57,7 +67,15 @@ function interpolateGap(gapRows, startRow, endRow, field) {
 }
 
 
-export function interpolateGroup(group, { fields = group.fields, ammendNewRow = () => {} } = {}) {
+/**
+ * Interpolate markers over the members of a group, e.g. over frames of a frameMap. Inplace.
+ * @param {DataFrameGroup} group 
+ * @param {Object} options
+ * @param {String[]} options.fields fields to interpolate
+ * @param {Object} options.methods interpolation method per field, e.g. `{ size: 'log', color: 'step' }`. See `interpolators`. Defaults to linear.
+ * @param {Function} options.ammendNewRow called with rows which are created to fill a gap
+ */
+export function interpolateGroup(group, { fields = group.fields, methods = {}, ammendNewRow = () => {} } = {}) {
     
     // what fields to interpolate?
     const groupFields = group.values().next().value.fields;
@@ -68,43 +86,44 @@ export function interpolateGroup(group, { fields = group.fields, ammendNewRow =
     const frameKeys = [...group.keys()]
     const numFrames = frameKeys.length;
     for (const field of fields) {
-        const lastIndexPerMarker = new Map();
+        const interpolator = getInterpolator(methods[field]);
+
+        // indices of frames in which marker has a value
+        const indicesPerMarker = new Map();
         for (let i = 0; i < numFrames; i ++) {
             const frame = group.get(frameKeys[i]);                  
             for (const markerKey of frame.keys()) {
-                const marker = frame.getByStr(markerKey);
-                if (marker[field] != null) {
-                    let lastIndex = lastIndexPerMarker.get(markerKey);
-                    if (lastIndex && (i - lastIndex) > 1) {
-                        const gapRows = []; // d3.range(lastIndex + 1, i).map(i => group.get(frameKeys[i]))
-                        for (let j = lastIndex + 1; j < i; j++) {
-                            const gapFrame = group.get(frameKeys[j]);
-                            let gapRow = gapFrame.get(markerKey);
-                            if (gapRow === undefined) {
-                                gapRow = Object.assign(pickGetters(marker, copyFields), group.keyObject(gapFrame));
-                                ammendNewRow(gapRow);
-                                gapRow[Symbol.for('interpolated')] = {};
-                                gapFrame.setByStr(markerKey, gapRow);
-                            } else {
-                                if (!(Symbol.for('interpolated') in gapRow)) {
-                                    gapRow = assign({}, gapRow)
-                                    gapRow[Symbol.for('interpolated')] = {};
-                                    gapFrame.setByStr(markerKey, gapRow);
-                                }
-                            }
-                            gapRows.push(gapRow);
-                        }
-                        const startRow = group.get(frameKeys[lastIndex]).get(markerKey);
-                        const endRow = group.get(frameKeys[i]).get(markerKey);
-                        interpolateGap(gapRows, startRow, endRow, field);
+                if (frame.getByStr(markerKey)[field] != null)
+                    getOrCreate(indicesPerMarker, markerKey, () => []).push(i);
+            }
+        }
+
+        for (const [markerKey, indices] of indicesPerMarker) {
+            const getRow = i => group.get(frameKeys[i]).getByStr(markerKey);
+            const getGapRow = (j, marker) => {
+                const gapFrame = group.get(frameKeys[j]);
+                let gapRow = gapFrame.getByStr(markerKey);
+                if (gapRow === undefined) {
+                    gapRow = Object.assign(pickGetters(marker, copyFields), group.keyObject(gapFrame));
+                    ammendNewRow(gapRow);
+                    gapRow[Symbol.for('interpolated')] = {};
+                    gapFrame.setByStr(markerKey, gapRow);
+                } else {
+                    if (!(Symbol.for('interpolated') in gapRow)) {
+                        gapRow = assign({}, gapRow)
+                        gapRow[Symbol.for('interpolated')] = {};
+                        gapFrame.setByStr(markerKey, gapRow);
                     }
-                    lastIndexPerMarker.set(markerKey, i);
                 }
+                return gapRow;
             }
+            interpolateGaps(indices, getRow, getGapRow, field, interpolator);
         }
         //console.log('finished interpolating field', field);
         //console.timeLog('interpolate');
     }
     //console.timeEnd('interpolate');
+    for (const frame of group.values())
+        invalidateIndexes(frame);
     return group;
-}
\ No newline at end of file
+}
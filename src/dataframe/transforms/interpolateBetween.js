@@ -1,13 +1,21 @@
 import { DataFrame } from "../dataFrame";
+import { getInterpolator } from "./interpolators";
 /**
  * Interplate between two DataFrames
  * @param {*} from 
  * @param {*} to 
  * @param {*} mu 
+ * @param {Object} options
+ * @param {Object} options.methods interpolation method per field, e.g. `{ size: 'log', color: 'step' }`. See `interpolators`. Defaults to linear.
+ * @param {DataFrame} options.before DataFrame one step before `from`, for methods which take curvature into account
+ * @param {DataFrame} options.after DataFrame one step after `to`
  */
-export function interpolateBetween(from, to, mu) {
+export function interpolateBetween(from, to, mu, { methods = {}, before, after } = {}) {
     const df = DataFrame([], from.key);
-    
+    const interpolators = {};
+    for (const field in methods)
+        interpolators[field] = getInterpolator(methods[field]);
+
     let newRow, row2;
     for(const key of from.keys()) {
         const row1 = from.getByStr(key)
@@ -16,7 +24,9 @@ export function interpolateBetween(from, to, mu) {
         if (row2 !== row1) { // same object, depends on trails using same object for trail markers across frames.
             newRow = Object.assign({}, row1);
             for (let field in newRow) {
-                newRow[field] = d3.interpolate(row1[field], row2[field])(mu);
+                newRow[field] = field in interpolators
+                    ? interpolators[field](row1[field], row2[field], context(before, after, key, field))(mu)
+                    : d3.interpolate(row1[field], row2[field])(mu);
             }
         } else {
             newRow = row1;
@@ -24,4 +34,13 @@ export function interpolateBetween(from, to, mu) {
         df.set(newRow, newRow[Symbol.for('key')]);
     }
     return df;
-}
\ No newline at end of file
+}
+
+function context(before, after, key, field) {
+    const beforeRow = before?.getByStr(key);
+    const afterRow = after?.getByStr(key);
+    return {
+        before: beforeRow ? { value: beforeRow[field], distance: 1 } : undefined,
+        after: afterRow ? { value: afterRow[field], distance: 1 } : undefined
+    }
+}
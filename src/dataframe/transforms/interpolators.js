@@ -0,0 +1,56 @@
+/**
+ * Interpolation methods. An interpolator takes the values at start and end of a segment and returns a function of `mu` (0-1).
+ * `context` can hold the values around the segment, `{ before: { value, distance }, after: { value, distance } }`,
+ * with distances relative to the length of the segment. Methods which need no context can ignore it.
+ */
+export const interpolators = {
+    linear: (start, end) => d3.interpolate(start, end),
+    // exponential growth, e.g. population
+    log: (start, end) => start > 0 && end > 0
+        ? mu => start * Math.pow(end / start, mu)
+        : d3.interpolate(start, end),
+    // hold value until end is reached, e.g. categories like region
+    step: (start, end) => mu => mu < 1 ? start : end,
+    // monotone cubic (Steffen), doesn't overshoot between values
+    monotone: (start, end, { before, after } = {}) => {
+        if (typeof start != "number" || typeof end != "number")
+            return d3.interpolate(start, end);
+        const slope = end - start;
+        let t0 = isNumberPoint(before) ? steffenSlope(before.distance, (start - before.value) / before.distance, 1, slope) : undefined;
+        let t1 = isNumberPoint(after) ? steffenSlope(1, slope, after.distance, (after.value - end) / after.distance) : undefined;
+        if (t0 === undefined && t1 === undefined)
+            t0 = t1 = slope;
+        else if (t0 === undefined)
+            t0 = (3 * slope - t1) / 2;
+        else if (t1 === undefined)
+            t1 = (3 * slope - t0) / 2;
+        return mu => {
+            const mu2 = mu * mu, mu3 = mu2 * mu;
+            return (2 * mu3 - 3 * mu2 + 1) * start
+                + (mu3 - 2 * mu2 + mu) * t0
+                + (-2 * mu3 + 3 * mu2) * end
+                + (mu3 - mu2) * t1;
+        }
+    }
+}
+
+/**
+ * @param {String|Function} method name of method in `interpolators` or custom interpolator function. Defaults to linear.
+ * @returns {Function} interpolator
+ */
+export function getInterpolator(method = "linear") {
+    if (typeof method == "function")
+        return method;
+    if (!(method in interpolators))
+        throw new Error(`Unknown interpolation method "${method}". Use one of: ${Object.keys(interpolators).join(', ')} or a function.`);
+    return interpolators[method];
+}
+
+function isNumberPoint(point) {
+    return point !== undefined && typeof point.value == "number" && point.distance > 0;
+}
+
+function steffenSlope(h0, s0, h1, s1) {
+    const p = (s0 * h1 + s1 * h0) / (h0 + h1);
+    return (Math.sign(s0) + Math.sign(s1)) * Math.min(Math.abs(s0), Math.abs(s1), 0.5 * Math.abs(p)) || 0;
+}
@@ -0,0 +1,110 @@
+import { DataFrame } from "../dataFrame";
+import { arrayEquals, createKeyFn } from "../dfutils";
+import { normalizeParams } from "./fulljoin";
+
+/**
+ * Creates a function which finds the right row for a given left row. Rows are matched on overlapping key fields,
+ * or on the fields given in `on`, an object with left fields as keys and right fields as values, e.g. `{ world_4region: 'region' }`.
+ * When right fields are not the right key, the first right row matching the left row is found.
+ * @param {DataFrame} leftDf
+ * @param {Object} rightParam { dataFrame, on }
+ * @returns {Function} (leftRow, leftKeyStr) => rightRow or undefined
+ */
+export function createRightLookup(leftDf, { dataFrame: right, on }) {
+    if (on) {
+        const pairs = Object.entries(on);
+        if (arrayEquals(right.key, pairs.map(([, rightField]) => rightField))) {
+            return leftRow => {
+                const keyObj = {};
+                for (const [leftField, rightField] of pairs)
+                    keyObj[rightField] = leftRow[leftField];
+                return right.get(keyObj);
+            }
+        }
+        // index right rows on their join fields, named as the left fields
+        const keyFn = createKeyFn(pairs.map(([leftField]) => leftField));
+        const index = new Map();
+        for (const rightRow of right.values()) {
+            const keyObj = {};
+            for (const [leftField, rightField] of pairs)
+                keyObj[leftField] = rightRow[rightField];
+            const keyStr = keyFn(keyObj);
+            if (!index.has(keyStr))
+                index.set(keyStr, rightRow);
+        }
+        return leftRow => index.get(keyFn(leftRow));
+    }
+
+    if (arrayEquals(right.key, leftDf.key))
+        return (leftRow, leftKeyStr) => right.getByStr(leftKeyStr);
+
+    if (!right.key.every(dim => leftDf.fields.includes(dim)))
+        console.warn("Left dataFrame does not contain all key fields of right dataFrame. Use `on` to join on other fields.", { left: leftDf, right });
+    return leftRow => right.get(leftRow);
+}
+
+export function projectRow(leftRow, rightRow, projection) {
+    for (let key in projection) {
+        for (let field of projection[key])
+            leftRow[field] = rightRow?.[key];
+    }
+    return leftRow;
+}
+
+/**
+ * Inner join. Only left rows which match a row in every right dataframe are kept, with projected fields of the right rows.
+ * @param {*} left { dataFrame }
+ * @param {*} rights [{ dataFrame, projection, on }]
+ * @returns {DataFrame} New dataframe with left key
+ */
+export function innerJoin(left, rights) {
+    const leftDf = left.dataFrame;
+    rights = normalizeParams(rights);
+    const lookups = rights.map(r => createRightLookup(leftDf, r));
+
+    const result = DataFrame([], leftDf.key);
+    for (let keyStr of leftDf.keys()) {
+        const row = leftDf.getByStr(keyStr);
+        const rightRows = lookups.map(lookup => lookup(row, keyStr));
+        if (rightRows.some(rightRow => rightRow === undefined))
+            continue;
+        const leftRow = Object.assign({}, row);
+        rights.forEach((r, i) => projectRow(leftRow, rightRows[i], r.projection));
+        result.set(leftRow, keyStr);
+    }
+    return result;
+}
+
+/**
+ * Semi join. Keeps left rows which match a row in every right dataframe. Rows are not changed.
+ * @param {*} left { dataFrame }
+ * @param {*} rights [{ dataFrame, on }]
+ * @returns {DataFrame} New dataframe with left key
+ */
+export function semiJoin(left, rights) {
+    return filterJoin(left, rights, true);
+}
+
+/**
+ * Anti join. Keeps left rows which don't match a row in every right dataframe, i.e. the left rows a semi join would remove.
+ * @param {*} left { dataFrame }
+ * @param {*} rights [{ dataFrame, on }]
+ * @returns {DataFrame} New dataframe with left key
+ */
+export function antiJoin(left, rights) {
+    return filterJoin(left, rights, false);
+}
+
+function filterJoin(left, rights, keepMatching) {
+    const leftDf = left.dataFrame;
+    const lookups = normalizeParams(rights).map(r => createRightLookup(leftDf, r));
+
+    const result = DataFrame([], leftDf.key);
+    for (let keyStr of leftDf.keys()) {
+        const row = leftDf.getByStr(keyStr);
+        const matches = lookups.every(lookup => lookup(row, keyStr) !== undefined);
+        if (matches === keepMatching)
+            result.set(row, keyStr);
+    }
+    return result;
+}
@@ -1,15 +1,16 @@
 import { copyColumn } from "./copycolumn";
-import { arrayEquals } from "../dfutils";
 import { DataFrame } from "../dataFrame";
 import { normalizeParams } from "./fulljoin";
+import { createRightLookup, projectRow } from "./join";
 
         // TODO: add check for non-marker space dimensions to contain only one value
         // -> save first row values and all next values should be equal to first
 
 /**
- * Join right on left with overlapping columns of key as join columns.
- * @param {*} left 
- * @param  {...any} rights 
+ * Join right on left with overlapping columns of key as join columns, or with the columns given in `on`.
+ * Left rows without matching right row get undefined for the projected fields.
+ * @param {*} left { dataFrame }
+ * @param  {...any} rights [{ dataFrame, projection, on: { leftField: rightField } }]
  */
 export function leftJoin(left, rights) {
     const leftDf = left.dataFrame;
@@ -17,7 +18,7 @@ export function leftJoin(left, rights) {
 
     rights = normalizeParams(rights);
     rights.forEach(r => { 
-        r.sameKey = arrayEquals(r.dataFrame.key, leftKey);
+        r.lookup = createRightLookup(leftDf, r);
     });
 
     const result = DataFrame([], leftKey)
@@ -27,16 +28,9 @@ export function leftJoin(left, rights) {
         // left row as base
         const leftRow = cloneRow(row);
         
-        // join any rows in right dfs which have same key as left row
+        // join any rows in right dfs which match left row
         for (let r of rights) {
-            const rightRow = r.sameKey 
-                ? r.dataFrame.getByStr(keyStr) 
-                : r.dataFrame.get(row);
-                
-            for(let key in r.projection) {
-                for (let field of r.projection[key]) 
-                    leftRow[field] = rightRow[key];
-            }
+            projectRow(leftRow, r.lookup(row, keyStr), r.projection);
         }
         
         // set row
@@ -0,0 +1,32 @@
+import { relativeComplement } from "../../core/utils";
+import { DataFrame } from "../dataFrame";
+import { pick } from "../dfutils";
+
+/**
+ * Melt a wide dataframe to a long dataframe. Each of the `valueVars` fields becomes a row with the field name in `varName` and its value in `valueName`.
+ * E.g. rows { geo, 1990, 1991 } melt to rows { geo, time, pop } with `{ valueVars: ['1990', '1991'], varName: 'time', valueName: 'pop' }`.
+ * @param {DataFrame} df
+ * @param {Object} params
+ * @param {String[]} params.idVars Fields to keep on each row. Defaults to `df.key`.
+ * @param {String[]} params.valueVars Fields to melt. Defaults to all fields not in `idVars`.
+ * @param {String} params.varName Field for names of melted fields
+ * @param {String} params.valueName Field for values of melted fields
+ * @returns {DataFrame} New dataframe keyed by `df.key` (or `idVars` if `df.key` is not part of `idVars`) plus `varName`
+ */
+export function melt(df, { idVars = df.key, valueVars, varName = 'variable', valueName = 'value' } = {}) {
+    valueVars = valueVars ?? relativeComplement(idVars, df.fields);
+    const idKey = df.key.length > 0 && df.key.every(dim => idVars.includes(dim)) ? df.key : idVars;
+    const result = DataFrame([], [...idKey, varName]);
+
+    for (const row of df.values()) {
+        const idRow = pick(row, idVars);
+        for (const field of valueVars) {
+            const newRow = Object.assign({}, idRow);
+            newRow[varName] = field;
+            newRow[valueName] = row[field] ?? null;
+            result.set(newRow);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,100 @@
+import { DataFrame } from "../dataFrame";
+import { createKeyFn } from "../dfutils";
+import { isString } from "../../core/utils";
+
+// null when ratio is undefined, e.g. divisor is missing or zero. Missing values stay missing.
+function ratio(value, divisor, scale) {
+    if (value == null)
+        return value;
+    const result = value / divisor * scale;
+    return divisor != null && Number.isFinite(result) ? result : null;
+}
+
+// new dataframe with copied rows, with field set to `fn(row, keyStr)`
+function mapField(df, field, fn) {
+    const result = DataFrame([], df.key);
+    for (const [keyStr, row] of df) {
+        const newRow = Object.assign({}, row);
+        newRow[field] = fn(row, keyStr);
+        result.set(newRow, keyStr);
+    }
+    return result;
+}
+
+/**
+ * Share of a field's value in the total of the field over rows with equal `groupBy` fields.
+ * @param {DataFrame} df
+ * @param {String} field field to normalize, is overwritten with its share
+ * @param {Object} options
+ * @param {String[]} options.groupBy fields whose rows share a total, e.g. `['time']`. Defaults to all rows sharing one total.
+ * @param {Number} options.scale share of total equals `scale`, defaults to 100 for percentages
+ * @returns {DataFrame} new dataframe with copied rows
+ */
+export function shareOfTotal(df, field, { groupBy = [], scale = 100 } = {}) {
+    const groupKeyFn = createKeyFn(groupBy);
+    const totals = new Map();
+    for (const row of df.values()) {
+        const key = groupKeyFn(row);
+        totals.set(key, (totals.get(key) ?? 0) + (row[field] ?? 0));
+    }
+    return mapField(df, field, row => ratio(row[field], totals.get(groupKeyFn(row)), scale));
+}
+
+/**
+ * Index a field per partition to its value at a base value of `orderBy`, e.g. to make every country's gdp 100 in 1990.
+ * Rows in partitions without value at base get null.
+ * @param {DataFrame} df
+ * @param {String} field field to normalize, is overwritten with its index
+ * @param {Object} options
+ * @param {*} options.base value of `orderBy` to index to, defaults to the lowest value in `df`
+ * @param {String} options.orderBy field to index along, defaults to 'time'
+ * @param {String[]} options.partitionBy fields to partition by, defaults to `df.key` without `orderBy`
+ * @param {Number} options.scale index at base, defaults to 100
+ * @returns {DataFrame} new dataframe with copied rows
+ */
+export function indexTo(df, field, { base, orderBy = 'time', partitionBy, scale = 100 } = {}) {
+    partitionBy = partitionBy ?? df.key.filter(dim => dim !== orderBy);
+    const partitionKeyFn = createKeyFn(partitionBy);
+    const orderValue = value => value instanceof Date ? value.getTime() : value;
+
+    base = orderValue(base ?? d3.min(df.values(), row => row[orderBy]));
+    const baseValues = new Map();
+    for (const row of df.values())
+        if (orderValue(row[orderBy]) === base)
+            baseValues.set(partitionKeyFn(row), row[field]);
+
+    return mapField(df, field, row => ratio(row[field], baseValues.get(partitionKeyFn(row)), scale));
+}
+
+/**
+ * Index a field per marker to its value in a base member of a group, e.g. to a base frame of a frameMap.
+ * @param {DataFrameGroup} group
+ * @param {String} field
+ * @param {Object} options
+ * @param {Object|String} options.base key object or key string of base member, defaults to first member
+ * @param {Number} options.scale see `indexTo`
+ * @returns {DataFrameGroup} new group with copied rows
+ */
+export function indexToMember(group, field, { base, scale = 100 } = {}) {
+    const baseKey = base === undefined ? group.keys().next().value
+        : isString(base) ? base
+        : group.keyFn(base);
+    const baseValues = new Map();
+    for (const [key, row] of group.get(baseKey) ?? [])
+        baseValues.set(key, row[field]);
+
+    return group.map(member => mapField(member, field, (row, key) => ratio(row[field], baseValues.get(key), scale)));
+}
+
+/**
+ * Divide a field by another field of the same row, e.g. for per capita values.
+ * @param {DataFrame} df
+ * @param {String} field field to normalize, is overwritten with the ratio
+ * @param {String} divisor field to divide by
+ * @param {Object} options
+ * @param {Number} options.scale multiplier of ratio, e.g. 1000 for per 1000 people. Defaults to 1.
+ * @returns {DataFrame} new dataframe with copied rows
+ */
+export function divideBy(df, field, divisor, { scale = 1 } = {}) {
+    return mapField(df, field, row => ratio(row[field], row[divisor], scale));
+}
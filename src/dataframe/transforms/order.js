@@ -5,45 +5,103 @@ const directions = {
     decending: -1
 }
 
+/**
+ * Order dataframe rows. Returns a new dataframe.
+ * @param {*} df 
+ * @param {*} order_by field, or array of fields, `{ field: "asc"|"desc" }` objects or order specs:
+ * `{ concept, direction: "asc"|"desc", nulls: "first"|"last", collation: "sv", values: ["Africa", "Asia", ...] }`
+ */
 export function order(df, order_by = []) {
     if (order_by.length == 0) return df;
 
     const data = Array.from(df.values());
+    data.sort(createOrderCompareFn(order_by));
+    data.key = df.key;
+
+    return DataFrame(data);
+}
+
+/**
+ * Create a function comparing two rows according to `order_by`, for use in `Array.sort`
+ * @param {*} order_by see `order()`
+ * @returns {Function} (a, b) => number
+ */
+export function createOrderCompareFn(order_by) {
     const orderNormalized = normalizeOrder(order_by);
     const n = orderNormalized.length;
 
-    data.sort((a,b) => {
+    return (a,b) => {
         for (var i = 0; i < n; i++) {
-            const order = orderNormalized[i];
-            if (a[order.concept] < b[order.concept])
-                return -1 * order.direction;
-            else if (a[order.concept] > b[order.concept])
-                return order.direction;
+            const result = orderNormalized[i].compare(a, b);
+            if (result != 0)
+                return result;
         } 
         return 0;
-    });
-
-    data.key = df.key;
-
-    return DataFrame(data);
+    };
 }
 
 /**    
- * Process ["geo"] or [{"geo": "asc"}] to [{ concept: "geo", direction: 1 }];
+ * Process ["geo"] or [{"geo": "asc"}] or [{ concept: "geo", direction: "asc" }] to [{ concept: "geo", direction: 1, compare }];
  * @param {} order 
  */
 function normalizeOrder(order_by) {
-    if (typeof order_by === "string") 
-        return [{ concept: order_by, direction: directions.ascending }];
+    if (!Array.isArray(order_by))
+        order_by = [order_by];
     return order_by.map(orderPart => {
-        if (typeof orderPart == "string") {
-            return { concept: orderPart, direction: directions.ascending };
-        }	else {
-            const concept   = Object.keys(orderPart)[0];
-            const direction = orderPart[concept] == "asc" 
-                ? directions.ascending 
-                : directions.decending;
-            return { concept, direction };
+        if (typeof orderPart == "string")
+            orderPart = { concept: orderPart };
+        else if (!("concept" in orderPart)) {
+            const concept = Object.keys(orderPart)[0];
+            orderPart = { concept, direction: orderPart[concept] };
         }
+        const { concept, direction, nulls = "last", collation, values } = orderPart;
+        const spec = { concept, direction: parseDirection(direction), nulls };
+        spec.compare = createCompareFn(spec, collation, values);
+        return spec;
     });
-}
\ No newline at end of file
+}
+
+function parseDirection(direction = "asc") {
+    if (typeof direction == "number")
+        return direction < 0 ? directions.decending : directions.ascending;
+    if (["asc", "ascending"].includes(direction))
+        return directions.ascending;
+    if (["desc", "descending"].includes(direction))
+        return directions.decending;
+    throw new Error(`Unknown order direction "${direction}". Use "asc" or "desc".`);
+}
+
+function createCompareFn({ concept, direction, nulls }, collation, values) {
+    // nulls are placed first or last regardless of direction
+    const nullOrder = nulls == "first" ? -1 : 1;
+    const compareValues = createValueCompareFn(collation, values);
+    return (a, b) => {
+        const aVal = a[concept], bVal = b[concept];
+        const aNull = aVal == null || Number.isNaN(aVal);
+        const bNull = bVal == null || Number.isNaN(bVal);
+        if (aNull || bNull)
+            return aNull == bNull ? 0 : aNull ? nullOrder : -nullOrder;
+        return direction * compareValues(aVal, bVal);
+    }
+}
+
+function createValueCompareFn(collation, values) {
+    const collator = collation ? new Intl.Collator(collation === true ? undefined : collation) : undefined;
+    const compare = (a, b) => {
+        if (collator && typeof a == "string" && typeof b == "string")
+            return collator.compare(a, b);
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    if (!values)
+        return compare;
+
+    // values in list come first, in order of list, other values after
+    const ranks = new Map([...values].map((value, i) => [value, i]));
+    return (a, b) => {
+        const aRank = ranks.get(a) ?? Infinity;
+        const bRank = ranks.get(b) ?? Infinity;
+        if (aRank == Infinity && bRank == Infinity)
+            return compare(a, b);
+        return aRank - bRank;
+    }
+}
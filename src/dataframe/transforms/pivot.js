@@ -0,0 +1,47 @@
+import { DataFrame } from "../dataFrame";
+import { createKeyFn, pick } from "../dfutils";
+
+/**
+ * Pivot a long dataframe to a wide dataframe. Values in `columns` field become new fields, filled with values from `values` field.
+ * E.g. rows { geo, time, indicator, value } pivot to rows { geo, time, pop, lex } with `{ columns: 'indicator', values: 'value' }`.
+ * @param {DataFrame} df
+ * @param {Object} params
+ * @param {String[]} params.index Key of resulting dataframe. Defaults to `df.key` without `columns`.
+ * @param {String} params.columns Field whose values become fields in resulting dataframe
+ * @param {String} params.values Field whose values fill the new fields
+ * @returns {DataFrame} New dataframe keyed by `index`
+ */
+export function pivot(df, { index, columns, values }) {
+    index = index ?? df.key.filter(dim => dim !== columns);
+    const keyFn = createKeyFn(index);
+    const result = DataFrame([], index);
+    const duplicates = [];
+    const newFields = new Set();
+
+    for (const row of df.values()) {
+        const keyStr = keyFn(row);
+        let newRow = result.getByStr(keyStr);
+        if (newRow === undefined) {
+            newRow = pick(row, index);
+            result.set(newRow);
+        }
+        const field = row[columns];
+        newFields.add(field);
+        if (field in newRow)
+            duplicates.push({ keyStr, field, orig: newRow[field], new: row[values] });
+        newRow[field] = row[values];
+    }
+
+    if (duplicates.length > 0)
+        console.warn('Found duplicates for given index and columns when pivoting dataframe.', { index, columns, duplicates });
+
+    // give every row every new field
+    for (const row of result.values()) {
+        for (const field of newFields) {
+            if (!(field in row))
+                row[field] = null;
+        }
+    }
+
+    return result;
+}
@@ -1,15 +1,24 @@
 import { DataFrameGroup } from "../dataFrameGroup";
 import { DataFrame } from "../dataFrame";
 import { inclusiveRange } from "../../core/utils";
+import { createKeyFn, isIterable, isNonNullObject } from "../dfutils";
 
 // TODO: add check if there are rows that are don't fit stepfn 
 // (iterate over df and match one step of stepfn with step of iteration)
+/**
+ * Reindex a dataframe to the keys in `index`. Adds rows with null values for missing keys and drops rows with other keys.
+ * Rows are ordered by `index`.
+ * @param {DataFrame} df
+ * @param {Iterable|Object} index iterable of key objects, or of values when `df` has a single key dimension.
+ * Or an object with an iterable of values per key dimension to reindex to their cartesian product, see `complete`.
+ * @returns {DataFrame} new dataframe
+ */
 export function reindex(df, index) {
+    if (!isIterable(index))
+        return complete(df, index);
     const empty = createEmptyRow(df.fields);
     const result = DataFrame([], df.key);
-    const keyConcept = df.key[0]; // supports only single indexed
-    for (let key of index) {
-        const keyObj = { [keyConcept]: key };
+    for (let keyObj of keyObjects(df.key, index)) {
         const keyStr = df.keyFn(keyObj);
         const row = df.hasByStr(keyStr)
             ? df.getByStr(keyStr)
@@ -19,16 +28,81 @@ export function reindex(df, index) {
     return result;
 }
 
+/**
+ * Complete the key space of a dataframe: reindex to the cartesian product of values per key dimension.
+ * Adds rows with null values for missing keys. Rows with keys outside of the product are dropped, like in `reindex`.
+ * Rows are ordered by the product in order of `df.key`, with the last key dimension changing fastest.
+ * @param {DataFrame} df
+ * @param {Object} index iterable of values per key dimension, e.g. `{ geo: ['swe', 'nor'], time: inclusiveRange(start, stop, concept) }`. 
+ * Dimensions without index use the values which are in `df`.
+ * @returns {DataFrame} new dataframe
+ */
+export function complete(df, index = {}) {
+    const empty = createEmptyRow(df.fields);
+    const result = DataFrame([], df.key);
+    for (const keyObj of keyProduct(df.key, index, dim => df.unique(dim), 'dataframe')) {
+        const keyStr = df.keyFn(keyObj);
+        if (df.hasByStr(keyStr))
+            result.setByStr(keyStr, df.getByStr(keyStr));
+        else
+            result.set(Object.assign({ }, empty, keyObj));
+    }
+    return result;
+}
+
+// cartesian product of values per key dimension, dimensions without values in index use `presentValues(dim)`
+function keyProduct(key, index, presentValues, name) {
+    for (const dim in index) {
+        if (!key.includes(dim))
+            throw new Error(`Can't complete ${name} on "${dim}", it's not a key dimension. Key: ${key.join(', ')}.`);
+    }
+    return cartesian(key, key.map(dim => index[dim] !== undefined ? [...index[dim]] : presentValues(dim)));
+}
+
+// key objects of an iterable of key objects, or of values of a single dimension key
+function* keyObjects(key, index) {
+    for (const item of index) {
+        if (isNonNullObject(item) && !(item instanceof Date))
+            yield item;
+        else if (key.length == 1)
+            yield { [key[0]]: item };
+        else
+            throw new Error(`Can't reindex on value "${item}", key has multiple dimensions: ${key.join(', ')}. Use key objects.`);
+    }
+}
+
+function* cartesian(dims, dimValues, i = 0, keyObj = {}) {
+    if (i == dims.length) {
+        yield Object.assign({}, keyObj);
+        return;
+    }
+    for (const value of dimValues[i]) {
+        keyObj[dims[i]] = value;
+        yield* cartesian(dims, dimValues, i + 1, keyObj);
+    }
+}
+
 function createEmptyRow(fields) {
     const obj = {};
     for (let field of fields) obj[field] = null;
     return obj;
 }
 
+/**
+ * Reindex the members of a group to the keys in `index`. Adds empty members for missing keys and drops members with other keys.
+ * Members are ordered by `index`.
+ * @param {DataFrameGroup} group
+ * @param {Iterable|Object} index iterable of key objects, or of values when `group` has a single key dimension.
+ * Or an object with an iterable of values per key dimension to reindex to their cartesian product,
+ * dimensions without values use the values in `group`.
+ * @returns {DataFrameGroup} new group
+ */
 export function reindexGroup(group, index) {
     const newGroup = DataFrameGroup([], group.key, group.descendantKeys);
-    for (let i of index) {
-        const keyObj = { [newGroup.key[0]]: i };
+    const keyObjs = isIterable(index)
+        ? keyObjects(group.key, index)
+        : keyProduct(group.key, index, dim => groupKeyValues(group, dim), 'group');
+    for (let keyObj of keyObjs) {
         const keyStr = newGroup.keyFn(keyObj)
         if (group.has(keyStr)) {
             let member = group.get(keyStr);
@@ -40,6 +114,16 @@ export function reindexGroup(group, index) {
     return newGroup;
 }
 
+function groupKeyValues(group, dim) {
+    const keyFn = createKeyFn([dim]);
+    const values = new Map();
+    for (const member of group.values()) {
+        const keyObj = group.keyObject(member);
+        values.set(keyFn(keyObj), keyObj[dim]);
+    }
+    return [...values.values()];
+}
+
 export function reindexGroupToKeyDomain(group, keyConcept) {
     if (group.size > 1) {
         const domain = group.keyExtent();
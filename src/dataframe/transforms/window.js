@@ -0,0 +1,132 @@
+import { assign } from "../../core/utils";
+import { DataFrame } from "../dataFrame";
+import { createKeyFn, isNonNullObject } from "../dfutils";
+
+/**
+ * Window functions. Rows are partitioned by `partitionBy` and ordered within the partition by `orderBy`.
+ * For each partition, the window functions in `fields` calculate a new value for each row. Returns a new dataframe with copied rows.
+ * @param {DataFrame} df
+ * @param {Object} spec
+ * @param {String[]} spec.partitionBy Fields to partition rows by, e.g. `['geo']`. Defaults to `df.key` without `orderBy`.
+ * @param {String} spec.orderBy Field to order partitions by, usually time
+ * @param {Object} spec.fields Object with resulting fields as keys and window functions as values, e.g. `{ pop_prev: { lag: 'pop' } }`.
+ * A window function is an object with the function name as key and options or a source field as value.
+ * @returns {DataFrame}
+ */
+export function window(df, { partitionBy, orderBy, fields = {} } = {}) {
+    partitionBy = partitionBy ?? df.key.filter(dim => dim !== orderBy);
+    const rows = [...df.values()].map(row => assign({}, row));
+    windowRows(rows, { partitionBy, orderBy, fields });
+    rows.key = df.key;
+    return DataFrame(rows);
+}
+
+/**
+ * Window functions over a dataframe group, e.g. a frameMap. Partitions and orders default to group members' key and the group key.
+ * I.e. for a frameMap, windows run along the frames per marker.
+ * @param {DataFrameGroup} group
+ * @param {Object} spec see `window()`
+ * @returns {DataFrameGroup}
+ */
+export function windowGroup(group, { partitionBy = group.descendantKeys[group.descendantKeys.length - 1], orderBy = group.key[0], fields = {} } = {}) {
+    const result = copyRows(group);
+    windowRows([...result.rows()], { partitionBy, orderBy, fields });
+    return result;
+}
+
+function copyRows(member) {
+    if (member.type == 'Group')
+        return member.map(copyRows);
+    const rows = [...member.values()].map(row => assign({}, row));
+    rows.key = member.key;
+    return DataFrame(rows);
+}
+
+function windowRows(rows, { partitionBy, orderBy, fields }) {
+    const windowFns = normalizeFields(fields);
+    const partitionKeyFn = createKeyFn(partitionBy);
+
+    const partitions = new Map();
+    for (const row of rows) {
+        const keyStr = partitionKeyFn(row);
+        if (!partitions.has(keyStr))
+            partitions.set(keyStr, []);
+        partitions.get(keyStr).push(row);
+    }
+
+    for (const partition of partitions.values()) {
+        if (orderBy)
+            partition.sort((a, b) => compare(a[orderBy], b[orderBy]));
+        // calculate all before writing any, so fields can be overwritten by windows on themselves
+        const results = windowFns.map(({ fn, options }) => fn(partition, options));
+        windowFns.forEach(({ name }, i) => {
+            const values = results[i];
+            partition.forEach((row, j) => row[name] = values[j]);
+        });
+    }
+}
+
+function compare(a, b) {
+    if (a == null) return b == null ? 0 : 1; // nulls last
+    if (b == null) return -1;
+    return a > b ? 1 : a < b ? -1 : 0;
+}
+
+function normalizeFields(fields) {
+    return Object.entries(fields).map(([name, spec]) => {
+        const fnName = Object.keys(spec)[0];
+        if (!(fnName in windowFunctions))
+            throw new Error(`Unknown window function "${fnName}" for field "${name}". Use one of: ${Object.keys(windowFunctions).join(', ')}.`);
+        const options = isNonNullObject(spec[fnName]) ? spec[fnName] : { field: spec[fnName] };
+        return { name, fn: windowFunctions[fnName], options };
+    });
+}
+
+const rolling = reduce => (rows, { field, size = 3 }) => rows.map((row, i) => {
+    const values = [];
+    for (let j = Math.max(0, i - size + 1); j <= i; j++)
+        if (rows[j][field] != null) values.push(rows[j][field]);
+    return values.length > 0 ? reduce(values) : null;
+});
+
+const cumulative = reduce => (rows, { field }) => {
+    let acc = null;
+    return rows.map(row => {
+        const value = row[field];
+        if (value != null)
+            acc = acc == null ? value : reduce(acc, value);
+        return acc;
+    });
+}
+
+const shift = direction => (rows, { field, offset = 1, default: defaultValue = null }) => rows.map((row, i) => {
+    const shifted = rows[i + direction * offset];
+    return shifted === undefined ? defaultValue : shifted[field];
+});
+
+/**
+ * Window functions take the ordered rows of a partition and options, and return an array of values for those rows.
+ */
+export const windowFunctions = {
+    rollingMean: rolling(d3.mean),
+    rollingSum: rolling(d3.sum),
+    rollingMin: rolling(d3.min),
+    rollingMax: rolling(d3.max),
+    cumulativeSum: cumulative((a, b) => a + b),
+    cumulativeMin: cumulative(Math.min),
+    cumulativeMax: cumulative(Math.max),
+    lag: shift(-1),
+    lead: shift(1),
+    // competition ranking ("1224"), nullish values are not ranked
+    rank: (rows, { field, descending = false }) => {
+        const direction = descending ? -1 : 1;
+        const sorted = rows.filter(row => row[field] != null)
+            .sort((a, b) => direction * compare(a[field], b[field]));
+        const ranks = new Map();
+        sorted.forEach((row, i) => {
+            const prev = sorted[i - 1];
+            ranks.set(row, prev && compare(prev[field], row[field]) === 0 ? ranks.get(prev) : i + 1);
+        });
+        return rows.map(row => ranks.get(row) ?? null);
+    }
+}
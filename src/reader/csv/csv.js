@@ -1,30 +1,40 @@
 import { inlineReader } from "./../inline/inline";
 import { guessDelimiter } from './guess-delimiter.js';
 import { timeInColumns } from './time-in-columns';
+import { ERRORS, loadOrFileNotFound } from '../utils';
 
 const GOOGLE_DOC_PREFIX = 'https://docs.google.com/spreadsheets/';
-const MISSED_INDICATOR_NAME = 'indicator';
-const ERRORS = {
-    WRONG_TIME_COLUMN_OR_UNITS: 'reader/error/wrongTimeUnitsOrColumn',
-    NOT_ENOUGH_ROWS_IN_FILE: 'reader/error/notEnoughRows',
-    UNDEFINED_DELIMITER: 'reader/error/undefinedDelimiter',
-    EMPTY_HEADERS: 'reader/error/emptyHeaders',
-    DIFFERENT_SEPARATORS: 'reader/error/differentSeparators',
-    FILE_NOT_FOUND: 'reader/error/fileNotFoundOrPermissionsOrEmpty',
-    REPEATED_KEYS: 'reader/error/repeatedKeys'
-};
 
+/**
+ * Reader for csv files. Wide tables with time in columns, e.g. `geo, name, indicator, 1990, 1991`, are read with `isTimeInColumns`.
+ * @param {Object} options
+ * @param {Function} options.externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`
+ * @param {Function} options.exernalTextReader deprecated, misspelled alias of `externalTextReader`
+ * @param {Boolean} options.isTimeInColumns table has a column per time, see `timeInColumns`
+ * @param {Number} options.keySize number of key columns of wide table, not counting time. Defaults to 1.
+ * @param {String} options.timeConcept concept of time columns of wide table, defaults to `time`
+ * @param {String} options.indicatorColumn header of indicator column of wide table, defaults to first column after key and name columns. `null` for no indicator column.
+ * @param {Boolean} options.hasNameColumn wide table has column with entity names
+ * @param {Number} options.nameColumnIndex position of name column, defaults to after key columns
+ * @param {Array} options.keyConcepts key of table, defaults to key columns and time concept for wide tables
+ */
 export function csvReader({ 
         path = "data.csv", 
         sheet = "", 
+        externalTextReader,
         exernalTextReader,
         externalJsonReader,
         hasNameColumn = false,
+        nameColumnIndex,
         isTimeInColumns = false,
+        keySize = 1,
+        timeConcept = "time",
+        indicatorColumn,
         assetsPath = "",
         delimiter = "",
         keyConcepts = [], 
-        dtypes 
+        dtypes,
+        duplicates
     }) {
     
     let cache = {};
@@ -32,34 +42,29 @@ export function csvReader({
 
     path = _googleSpreadsheetURLAdaptor(path, sheet);
 
-    return Object.assign(inlineReader(getValues().then(values => ({ 
-            values,
-            keyConcepts,
-            dtypes
+    return Object.assign(inlineReader(getTable().then(({ rows, key }) => ({ 
+            values: rows,
+            // wide tables default to their key columns and time concept
+            keyConcepts: keyConcepts.length == 0 && key ? key : keyConcepts,
+            dtypes,
+            duplicates
         })
     )), {
         getDatasetInfo,
         getAsset
     });
 
-    function getValues(){
+    function getTable(){
         return cache[cacheKey] ? cache[cacheKey] : cache[cacheKey] = loadFile()
             .then(guessDelim)
             .then(parseTextToTable)
-            .then(transformNameColumn)
             .then(transformTimeInColumns)
-            .then(returnRowsOnly);
+            .then(autoTypeRows);
     }
   
     function loadFile(){
-        let textReader = exernalTextReader || d3.text;
-        return textReader(path)
-            .catch(error => {
-                error.name = ERRORS.FILE_NOT_FOUND;
-                error.message = `No permissions, missing or empty file: ${path}`;
-                error.endpoint = path;
-                throw error;
-            });
+        let textReader = externalTextReader ?? exernalTextReader ?? d3.text;
+        return loadOrFileNotFound(textReader, path);
     }
 
     function guessDelim(text){
@@ -80,25 +85,22 @@ export function csvReader({
         return {rows, columns};
     }
 
-    function transformNameColumn({rows, columns}){
-        // move column "name" so it goes after "time"
-        // turns [name, geo, gender, time, lex] into [geo, gender, time, name, lex]
-        if (hasNameColumn)
-            columns.splice(this.keySize + 1, 0, columns.splice(this.nameColumnIndex, 1)[0]);
-
-        return {rows, columns};
-    }
-
     function transformTimeInColumns({rows, columns}){
 
-        if (isTimeInColumns)
-            return timeInColumns({rows, columns});
-        
-        return {rows, columns};
+        if (!isTimeInColumns)
+            return {rows, columns};
+
+        // name column defaults to column after key columns, e.g. "name" in [geo, name, indicator, 1990, 1991]
+        const nameColumn = hasNameColumn ? columns[nameColumnIndex ?? keySize] : undefined;
+        try {
+            return timeInColumns({rows, columns}, { keySize, timeConcept, nameColumn, indicatorColumn });
+        } catch (error) {
+            throw makeError(error);
+        }
     }
 
-    function returnRowsOnly({rows}){
-        return rows.map(row => d3.autoType(row));
+    function autoTypeRows({rows, key}){
+        return { rows: rows.map(row => d3.autoType(row)), key };
     }
 
     function makeError(e){
@@ -119,13 +121,7 @@ export function csvReader({
         const path = assetsPath + assetName;
         const jsonReader = externalJsonReader || d3.json;
 
-        return jsonReader()
-            .catch(error => {
-                error.name = ERRORS.FILE_NOT_FOUND;
-                error.message = `No permissions, missing or empty file: ${path}`;
-                error.endpoint = path;
-                throw error;
-            });
+        return loadOrFileNotFound(jsonReader, path);
     }
 
     function _googleSpreadsheetURLAdaptor(path, sheet) {
@@ -1,74 +1,71 @@
-export function timeInColumns({columns, rows}, parsers) {
-    const keySize = this.keySize;
+import { parseTime } from '../tables/tables';
+import { ERRORS, makeError } from '../utils';
 
-    let nameConcept = null;
-    
-    // remove column "name" as array's k+1 th element, but remember its header in a variable.
-    // if it's an empty string, call it "name"
-    // name column is not at its original index because it was moved by csv reader "load" method
-    if (this.hasNameColumn) {
-        nameConcept = columns.splice(keySize + 1, 1)[0] || 'name';
-    }
-    
-    const missedIndicator = parsers && parsers[this.timeKey] && !!parsers[this.timeKey](columns[keySize]);
-
-    if (missedIndicator) {
-        Vizabi.utils.warn('Indicator column is missed.');
-    }
+const MISSED_INDICATOR_NAME = 'indicator';
 
-    const indicatorKey = missedIndicator ? this.MISSED_INDICATOR_NAME : columns[keySize];
-    const concepts = columns.slice(0, keySize)
-        .concat(this.timeKey)
-        .concat(nameConcept || [])
-        .concat(missedIndicator ? Vizabi.utils.capitalize(this.MISSED_INDICATOR_NAME) : rows.reduce((result, row) => {
-            const concept = row[indicatorKey];
-            if (!result.includes(concept) && concept) {
-            result.push(concept);
-            }
-            return result;
-    }, []));
+/**
+ * Convert a wide table with time in columns to a long table with a time concept and a column per indicator.
+ * E.g. `geo, name, indicator, 1990, 1991` with rows per geo and indicator becomes `geo, time, name, pop, lex` with rows per geo and time.
+ * @param {Object} table `{ rows, columns }` as parsed by d3-dsv
+ * @param {Object} options
+ * @param {Number} options.keySize number of key columns before the time columns, not counting name and indicator column. Defaults to 1.
+ * @param {String} options.timeConcept concept of the time columns, defaults to `time`
+ * @param {String} options.nameColumn header of column with entity names, if any
+ * @param {String} options.indicatorColumn header of column with the indicator of each row. Defaults to the first column
+ * after key and name columns, unless that's a time column. Without indicator column, or with `null`, all values are of one indicator, `indicator`.
+ * @returns {Object} `{ rows, columns, key }` where key is the key columns and time concept
+ */
+export function timeInColumns({ rows, columns }, { keySize = 1, timeConcept = 'time', nameColumn, indicatorColumn }) {
+    const otherColumns = columns.filter(column => column !== nameColumn);
+    const keyColumns = otherColumns.slice(0, keySize);
 
-    const indicators = concepts.slice(keySize + 1 + (nameConcept ? 1 : 0));
-    const [entityDomain] = concepts;
+    if (indicatorColumn === undefined && otherColumns.length > keySize && !parseTime(otherColumns[keySize]))
+        indicatorColumn = otherColumns[keySize];
+    if (indicatorColumn != null && !columns.includes(indicatorColumn))
+        throw makeError(ERRORS.WRONG_TIME_COLUMN_OR_UNITS, `Indicator column "${indicatorColumn}" not found. Use one of: ${columns.join(', ')}.`);
 
-    return {
-        columns: concepts,
-        rows: rows.reduce((result, row) => {
-            const rowEntityDomain = row[entityDomain];
-            const resultRows = result.filter(resultRow => resultRow[entityDomain] === rowEntityDomain);
+    const timeColumns = otherColumns.slice(keySize).filter(column => column !== indicatorColumn);
+    const wrongColumn = timeColumns.find(column => !parseTime(column));
+    if (wrongColumn !== undefined)
+        throw makeError(ERRORS.WRONG_TIME_COLUMN_OR_UNITS, `Column "${wrongColumn}" is not a time. Check keySize, hasNameColumn and indicatorColumn options, columns are: ${columns.join(', ')}.`);
 
-            if (resultRows.length) {
-            if (resultRows[0][row[indicatorKey]] !== null) {
-                throw this.error(ERRORS.REPEATED_KEYS, null, {
-                indicator: row[indicatorKey],
-                key: row[entityDomain]
-                });
-            }
+    const indicatorOf = indicatorColumn == null ? () => MISSED_INDICATOR_NAME : row => row[indicatorColumn];
+    const indicators = [...new Set(rows.map(indicatorOf).filter(indicator => indicator))];
+    // missing values are empty strings like other csv values, parsed to null later
+    const emptyRow = Object.fromEntries(indicators.map(indicator => [indicator, '']));
 
-            resultRows.forEach(resultRow => {
-                resultRow[row[indicatorKey]] = row[resultRow[this.timeKey]];
-            });
-            } else {
-            Object.keys(row).forEach(key => {
-                if (![entityDomain, indicatorKey, nameConcept].includes(key)) {
-                const domainAndTime = {
-                    [entityDomain]: row[entityDomain], 
-                    [this.timeKey]: key
-                };
-                const optionalNameColumn = !nameConcept ? {} : {
-                    [nameConcept]: row[nameConcept]
-                };
-                const indicatorsObject = indicators.reduce((indResult, indicator) => {
-                    indResult[indicator] = missedIndicator || row[indicatorKey] === indicator ? row[key] : null;
-                    return indResult;
-                }, {});
+    const result = new Map();
+    const keyIndicators = new Set();
+    for (const row of rows) {
+        const indicator = indicatorOf(row);
+        if (!indicator)
+            continue;
+        const entityKey = keyColumns.map(column => row[column]);
+        const entityKeyStr = JSON.stringify([...entityKey, indicator]);
+        if (keyIndicators.has(entityKeyStr))
+            throw makeError(ERRORS.REPEATED_KEYS, `Repeated key ${keyColumns.map((column, i) => column + ': ' + entityKey[i]).join(', ')} for indicator "${indicator}".`);
+        keyIndicators.add(entityKeyStr);
 
-                result.push(Object.assign(domainAndTime, optionalNameColumn, indicatorsObject));
-                }
-            });
+        for (const time of timeColumns) {
+            if (row[time] === '')
+                continue;
+            const keyStr = JSON.stringify([...entityKey, time]);
+            if (!result.has(keyStr)) {
+                const newRow = {};
+                keyColumns.forEach((column, i) => newRow[column] = entityKey[i]);
+                newRow[timeConcept] = time;
+                if (nameColumn != null)
+                    newRow[nameColumn] = row[nameColumn];
+                result.set(keyStr, Object.assign(newRow, emptyRow));
             }
+            result.get(keyStr)[indicator] = row[time];
+        }
+    }
 
-            return result;
-        }, [])
+    const key = [...keyColumns, timeConcept];
+    return {
+        rows: [...result.values()],
+        columns: [...key, ...(nameColumn != null ? [nameColumn] : []), ...indicators],
+        key
     };
-}
\ No newline at end of file
+}
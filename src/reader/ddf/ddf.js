@@ -0,0 +1,226 @@
+import { createKeyFn } from "../../dataframe/dfutils";
+import { createFilterFn } from "../../dataframe/transforms/filter";
+import { getOrCreate } from "../../core/utils";
+import { applyQuery, parseTime, replaceJoinIds } from "../tables/tables";
+import { ERRORS, makeError, loadOrFileNotFound } from "../utils";
+
+const timeConceptTypes = ['time', 'year', 'quarter', 'month', 'week', 'day'];
+
+/**
+ * Reader for DDF-CSV datasets, driven by the `ddfSchema` in their `datapackage.json`.
+ * Resource files are only loaded when a query needs them, and at most once. Entity resources are loaded per entity domain.
+ * Queries on entity sets, e.g. key `["country", "time"]`, are answered from resources of their domain, e.g. `["geo", "time"]`,
+ * keeping only members of the set, i.e. entities which are `is--country`.
+ * @param {Object} options
+ * @param {String} options.path path to dataset folder or its `datapackage.json`
+ * @param {Function} options.externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`. E.g. `path => fs.promises.readFile(path, 'utf8')` in node.
+ * @param {Function} options.externalJsonReader asset loader `path => Promise<Object>`, defaults to `d3.json`
+ */
+export function ddfReader({ path, externalTextReader, externalJsonReader }) {
+
+    const basePath = path.replace(/datapackage\.json$/, '').replace(/([^/])$/, '$1/');
+    const textReader = externalTextReader || d3.text;
+    const files = new Map(); // resource path -> promise of parsed csv rows
+    const entities = new Map(); // entity concept -> promise of entity rows
+    let datapackagePromise, conceptsPromise;
+
+    return {
+        async read(query) {
+            const { from, select } = query;
+            const datapackage = await getDatapackage();
+
+            if (from.endsWith('.schema'))
+                return applyQuery(getSchema(datapackage, from), query);
+
+            const { rows: conceptRows } = await getConcepts();
+            if (from == "concepts")
+                return applyQuery(conceptRows, query);
+
+            query = Object.assign({}, query, { where: await resolveJoins(query.where, query.join) });
+            if (from == "entities")
+                return applyQuery(await getEntities(select.key[0]), query);
+            if (from == "datapoints")
+                return applyQuery(await getDatapoints(select), query);
+
+            throw makeError(ERRORS.UNKNOWN_COLLECTION, `Unknown collection in query: ${from}`);
+        },
+        getAsset(assetId) {
+            const path = basePath + 'assets/' + assetId;
+            return loadOrFileNotFound(externalJsonReader || d3.json, path);
+        }
+    }
+
+    function loadText(path) {
+        return loadOrFileNotFound(textReader, path);
+    }
+
+    function getDatapackage() {
+        if (!datapackagePromise)
+            datapackagePromise = loadText(basePath + 'datapackage.json')
+                .then(text => {
+                    const datapackage = JSON.parse(text);
+                    if (!datapackage.ddfSchema)
+                        throw makeError(ERRORS.NO_DDF_SCHEMA, `No ddfSchema in ${basePath}datapackage.json. Add it with e.g. ddf-validation.`);
+                    datapackage.resourcesByName = new Map(datapackage.resources.map(resource => [resource.name, resource]));
+                    return datapackage;
+                });
+        return datapackagePromise;
+    }
+
+    function loadResource(resource) {
+        return getOrCreate(files, resource.path, () => loadText(basePath + resource.path).then(text => d3.csvParse(text)));
+    }
+
+    // resources of schema entries in collection which satisfy filter
+    function schemaResources({ ddfSchema, resourcesByName }, collection, filter) {
+        const names = new Set(ddfSchema[collection].filter(filter).flatMap(entry => entry.resources));
+        return [...names].map(name => resourcesByName.get(name));
+    }
+
+    /**
+     * Concepts merged over all concept resources, with parsers for their values and domains of entity sets
+     * @returns {Promise} `{ rows, parse, domainOf }`
+     */
+    function getConcepts() {
+        if (conceptsPromise)
+            return conceptsPromise;
+        return conceptsPromise = getDatapackage().then(async datapackage => {
+            const concepts = new Map();
+            for (const resource of schemaResources(datapackage, 'concepts', () => true)) {
+                for (const row of await loadResource(resource)) {
+                    const concept = getOrCreate(concepts, row.concept, () => ({ concept: row.concept }));
+                    for (const field in row)
+                        if (row[field] !== '')
+                            concept[field] = row[field];
+                }
+            }
+            const parsers = new Map();
+            return {
+                rows: [...concepts.values()],
+                parse: (concept, value) => getOrCreate(parsers, concept, () => createParser(concepts.get(concept), concept))(value),
+                domainOf: concept => concepts.get(concept)?.concept_type == 'entity_set' ? concepts.get(concept).domain : concept
+            };
+        });
+    }
+
+    /**
+     * Entities of an entity domain or set, merged over all entity resources of its domain and parsed
+     * @param {String} dim entity domain or set
+     * @returns {Promise<Object[]>} rows
+     */
+    function getEntities(dim) {
+        return getOrCreate(entities, dim, async () => {
+            const datapackage = await getDatapackage();
+            const { parse, domainOf } = await getConcepts();
+            const domain = domainOf(dim);
+            const resources = schemaResources(datapackage, 'entities', ({ primaryKey }) => primaryKey.length == 1 && primaryKey[0] == domain);
+
+            const rows = new Map();
+            for (const resource of resources) {
+                const [idColumn] = [].concat(resource.schema.primaryKey);
+                for (const row of await loadResource(resource)) {
+                    const entity = getOrCreate(rows, row[idColumn], () => ({ [dim]: row[idColumn] }));
+                    for (const field in row)
+                        if (field != idColumn && row[field] !== '')
+                            entity[field] = parse(field, row[field]);
+                }
+            }
+            const result = [...rows.values()];
+            return dim == domain ? result : result.filter(entity => entity['is--' + dim] === true);
+        });
+    }
+
+    async function getMembers(set) {
+        return new Set((await getEntities(set)).map(entity => entity[set]));
+    }
+
+    /**
+     * Datapoints of concepts in `value` for `key`, from the resources listed in the datapoints schema, merged per key
+     * @returns {Promise<Object[]>} rows
+     */
+    async function getDatapoints({ key, value }) {
+        const datapackage = await getDatapackage();
+        const { parse } = await getConcepts();
+        const sortedKey = [...key].sort().join();
+
+        // concepts per resource
+        const resourceConcepts = new Map();
+        for (const entry of datapackage.ddfSchema.datapoints) {
+            if (value.includes(entry.value) && [...entry.primaryKey].sort().join() == sortedKey) {
+                for (const name of entry.resources)
+                    getOrCreate(resourceConcepts, name, () => []).push(entry.value);
+            }
+        }
+
+        const keyFn = createKeyFn(key);
+        const emptyRow = Object.fromEntries([...resourceConcepts.values()].flat().map(concept => [concept, null]));
+        const rows = new Map();
+        for (const [name, concepts] of resourceConcepts) {
+            const resource = datapackage.resourcesByName.get(name);
+            const { columns, memberships } = await mapKeyToColumns(resource, key);
+            for (const row of await loadResource(resource)) {
+                if (concepts.every(concept => !row[concept]) || !memberships.every(([column, members]) => members.has(row[column])))
+                    continue;
+                const newRow = {};
+                for (const dim of key)
+                    newRow[dim] = parse(dim, row[columns[dim]]);
+                const keyStr = keyFn(newRow);
+                const datapoint = getOrCreate(rows, keyStr, () => Object.assign(newRow, emptyRow));
+                for (const concept of concepts)
+                    if (row[concept] !== '')
+                        datapoint[concept] = parse(concept, row[concept]);
+            }
+        }
+        return [...rows.values()];
+    }
+
+    /**
+     * Find the resource column for every dimension in key. A dimension is read from a column with the same name,
+     * or from a column of an entity concept with the same domain. Then only rows with members of the dimension are used.
+     * @returns {Promise} `{ columns, memberships }`, where columns maps dimensions to columns and memberships is array of `[column, members]`
+     */
+    async function mapKeyToColumns(resource, key) {
+        const { domainOf } = await getConcepts();
+        const resourceKey = [].concat(resource.schema.primaryKey);
+        const columns = {};
+        const memberships = [];
+        for (const dim of key) {
+            const column = resourceKey.find(column => column == dim)
+                ?? resourceKey.find(column => domainOf(column) == domainOf(dim));
+            columns[dim] = column;
+            if (column != dim && domainOf(dim) != dim)
+                memberships.push([column, await getMembers(dim)]);
+        }
+        return { columns, memberships };
+    }
+
+    /**
+     * Replace join ids in where, e.g. `{ geo: "$geo" }`, with the entities matching the join, e.g. `{ geo: { $in: ["swe", "nor"] } }`
+     */
+    async function resolveJoins(where, join = {}) {
+        const joinFilters = {};
+        for (const [joinId, { key, where: joinWhere }] of Object.entries(join)) {
+            const filterFn = createFilterFn(joinWhere);
+            joinFilters[joinId] = { $in: (await getEntities(key)).filter(filterFn).map(entity => entity[key]) };
+        }
+        return replaceJoinIds(where, joinFilters);
+    }
+}
+
+function getSchema({ ddfSchema }, from) {
+    const collection = from.slice(0, -'.schema'.length);
+    if (!(collection in ddfSchema))
+        throw new Error(`Unknown schema query from "${from}". Use one of: ${Object.keys(ddfSchema).map(collection => collection + '.schema').join(', ')}.`);
+    return ddfSchema[collection].map(({ primaryKey, value }) => ({ key: primaryKey, value }));
+}
+
+function createParser(conceptProps = {}, concept) {
+    const type = concept.startsWith('is--') ? 'boolean' : conceptProps.concept_type;
+    if (type == 'boolean')
+        return value => value.toUpperCase() == 'TRUE';
+    if (type == 'measure')
+        return value => value === '' ? null : +value;
+    if (timeConceptTypes.includes(type))
+        return parseTime;
+    return value => value === '' ? null : value;
+}
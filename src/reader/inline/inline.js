@@ -2,7 +2,8 @@ import { DataFrame } from "../../dataframe/dataFrame";
 import { arrayEquals, isNonNullObject, relativeComplement } from "../../core/utils";
 
 /**
- * @param {*} argPromise promise resolving to object { values, keyConcepts, dtypes }
+ * @param {*} argPromise promise resolving to object { values, keyConcepts, dtypes, duplicates }
+ * `duplicates` is the policy for rows with the same key, see `createDuplicatesResolver`
  */
 export function inlineReader(argPromise) {
 
@@ -49,8 +50,8 @@ export function inlineReader(argPromise) {
     }
 }
 
-function parseValues({ values, dtypes, keyConcepts = [] }) {
-    return DataFrame(makeParser(dtypes)(values), keyConcepts);
+function parseValues({ values, dtypes, keyConcepts = [], duplicates }) {
+    return DataFrame(makeParser(dtypes)(values), keyConcepts, { duplicates });
 }
 
 function isConceptQuery(query) {
@@ -97,10 +98,11 @@ function applyQuery(data, query) {
     if (relativeComplement([...data.fields], projection).length > 0)
         console.error('Concepts found in query.select which are not in data', { query, dataFields: data.fields});
 
-    let result = data
+    let result = data.lazy()
         .filter(where)
         .project(projection)
-        .order(order_by);
+        .order(order_by)
+        .collect();
 
     if (!arrayEquals(result.key, select.key))
         result = DataFrame(result, select.key);
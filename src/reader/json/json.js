@@ -0,0 +1,135 @@
+import { inlineReader } from "./../inline/inline";
+import { isNonNullObject } from "../../core/utils";
+import { ERRORS, makeError, loadOrFileNotFound } from "../utils";
+
+// format -> text parser returning array of rows
+const formats = {
+    json: parseJson,
+    ndjson: parseNdjson
+};
+
+const extensions = {
+    json: 'json',
+    ndjson: 'ndjson',
+    jsonl: 'ndjson'
+};
+
+/**
+ * Format of a json file by the extension of its path
+ * @param {String} path
+ * @returns {String|undefined} `json` or `ndjson`, or undefined if it's not a json extension
+ */
+export function jsonFormat(path) {
+    const extension = path?.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    return extensions[extension];
+}
+
+/**
+ * Reader for files with a JSON array of rows or with one JSON row per line (NDJSON or JSON lines).
+ * Queries are handled by the inline reader, including `dtypes` parsing.
+ * @param {Object} options
+ * @param {String} options.path
+ * @param {String} options.format `json` or `ndjson`, defaults to format by extension of path: `.json`, `.ndjson` or `.jsonl`
+ * @param {Object} options.fields fields to extract from nested objects in rows, e.g. `{ pop: 'stats.population' }`.
+ * Rows keep their top level fields which are not objects.
+ * @param {Function} options.externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`
+ */
+export function jsonReader({
+        path = "data.json",
+        format,
+        fields = {},
+        externalTextReader,
+        externalJsonReader,
+        assetsPath = "",
+        keyConcepts = [],
+        dtypes,
+        duplicates
+    }) {
+
+    format = format ?? jsonFormat(path) ?? 'json';
+
+    return Object.assign(inlineReader(getValues().then(values => ({
+            values,
+            keyConcepts,
+            dtypes,
+            duplicates
+        })
+    )), {
+        getDatasetInfo,
+        getAsset
+    });
+
+    async function getValues() {
+        if (!(format in formats))
+            throw makeError(ERRORS.UNKNOWN_FORMAT, `Unknown format "${format}". Use one of: ${Object.keys(formats).join(', ')}.`);
+        const rows = formats[format](await loadText(path, externalTextReader), path);
+        return Object.keys(fields).length > 0 ? rows.map(extractFields) : rows;
+    }
+
+    function extractFields(row) {
+        const result = {};
+        for (const field in row)
+            if (!isNonNullObject(row[field]))
+                result[field] = row[field];
+        for (const field in fields)
+            result[field] = getPath(row, fields[field]);
+        return result;
+    }
+
+    function getDatasetInfo() {
+        return { name: path.split('/').pop() };
+    }
+
+    function getAsset(assetName) {
+        return loadOrFileNotFound(externalJsonReader || d3.json, assetsPath + assetName);
+    }
+}
+
+/**
+ * Load and parse a JSON file
+ * @param {String} path
+ * @param {Function} externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`
+ * @returns {Promise} parsed JSON
+ */
+export async function loadJson(path, externalTextReader) {
+    return parse(await loadText(path, externalTextReader), `Invalid JSON in ${path}`);
+}
+
+function loadText(path, externalTextReader) {
+    return loadOrFileNotFound(externalTextReader || d3.text, path);
+}
+
+// value at dot separated path in object, e.g. 'stats.population', or null if missing
+function getPath(object, path) {
+    let value = object;
+    for (const key of path.split('.')) {
+        if (value == null)
+            return null;
+        value = value[key];
+    }
+    return value ?? null;
+}
+
+function parseJson(text, path) {
+    const rows = parse(text, `Invalid JSON in ${path}`);
+    if (!Array.isArray(rows))
+        throw makeError(ERRORS.NOT_AN_ARRAY, `JSON in ${path} should be an array of rows, got ${rows === null ? 'null' : typeof rows}.`);
+    return rows;
+}
+
+function parseNdjson(text, path) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        if (line.trim())
+            rows.push(parse(line, `Invalid JSON on line ${i + 1} of ${path}`));
+    });
+    return rows;
+}
+
+function parse(text, message) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw makeError(ERRORS.INVALID_JSON, `${message}: ${error.message}`);
+    }
+}
@@ -0,0 +1,74 @@
+import { tablesReader, cubeToTables } from "../tables/tables";
+import { loadJson } from "../json/json";
+import { ERRORS, makeError } from "../utils";
+
+/**
+ * Reader for JSON-stat datasets (version 2.0, or the first dataset of a 1.x bundle).
+ * Categories of the `metric` role dimension become measures. Without metric dimension the values are one measure, named `concept`.
+ * See `cubeToTables` for how dimensions become concepts and entities.
+ * @param {Object} options
+ * @param {String} options.path
+ * @param {String} options.concept concept of the values when dataset has no metric dimension, defaults to `value`
+ * @param {Function} options.externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`
+ */
+export function jsonstatReader({ path, concept = "value", externalTextReader }) {
+    return tablesReader(loadJson(path, externalTextReader).then(json => jsonstatToTables(json, { concept, path })));
+}
+
+export function jsonstatToTables(json, { concept = "value", path = "" } = {}) {
+    // 2.0 dataset or first dataset in 1.x bundle, where id, size and role are in dimension
+    const dataset = json.class == "dataset" ? json : Object.values(json).find(value => value?.dimension);
+    if (!dataset)
+        throw makeError(ERRORS.NOT_A_JSONSTAT_DATASET, `No JSON-stat dataset found in ${path}${json.class ? `, got class "${json.class}"` : ''}.`);
+
+    const ids = dataset.id ?? dataset.dimension.id;
+    const sizes = dataset.size ?? dataset.dimension.size;
+    const role = dataset.role ?? dataset.dimension.role ?? {};
+    const metric = role.metric?.[0];
+    const time = role.time ?? [];
+
+    const dimensions = ids.map(id => {
+        const { label, category } = dataset.dimension[id];
+        return {
+            id,
+            name: label ?? id,
+            time: time.includes(id),
+            categories: categoryIds(category).map(categoryId => ({
+                id: categoryId,
+                name: category.label?.[categoryId],
+                unit: category.unit?.[categoryId]
+            }))
+        };
+    });
+    const metricPosition = ids.indexOf(metric);
+    const cubeDimensions = dimensions.filter((dim, i) => i != metricPosition);
+    const measures = metricPosition == -1
+        ? [{ concept, name: dataset.label }]
+        : dimensions[metricPosition].categories.map(({ id, name, unit }) => ({ concept: id, name, unit: unit?.label ?? unit?.symbol }));
+
+    return cubeToTables({ dimensions: cubeDimensions, measures, observations: observations(dataset.value, sizes, metricPosition) });
+}
+
+// category ids in order of their index
+function categoryIds({ index, label = {} }) {
+    if (Array.isArray(index))
+        return index;
+    if (index)
+        return Object.keys(index).sort((a, b) => index[a] - index[b]);
+    return Object.keys(label);
+}
+
+// values are in row-major order, i.e. last dimension changes fastest. Sparse values are an object with index keys.
+function* observations(values, sizes, metricPosition) {
+    const entries = Array.isArray(values) ? values.entries() : Object.entries(values).map(([i, value]) => [+i, value]);
+    for (const [i, value] of entries) {
+        const indices = new Array(sizes.length);
+        let rest = i;
+        for (let d = sizes.length - 1; d >= 0; d--) {
+            indices[d] = rest % sizes[d];
+            rest = Math.floor(rest / sizes[d]);
+        }
+        const measure = metricPosition == -1 ? 0 : indices.splice(metricPosition, 1)[0];
+        yield [indices, measure, value];
+    }
+}
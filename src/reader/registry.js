@@ -0,0 +1,73 @@
+import { inlineReader } from "./inline/inline";
+import { csvReader } from "./csv/csv";
+import { ddfReader } from "./ddf/ddf";
+import { jsonReader } from "./json/json";
+import { jsonstatReader } from "./jsonstat/jsonstat";
+import { sdmxReader } from "./sdmx/sdmx";
+
+/**
+ * Reader interface. A reader is an object which implements
+ * - `read(query)`: required, returns a promise of the response to a DDF query, either an array of rows or a DataFrame
+ * - `getAsset(assetId)`: optional, returns a promise of an asset of the dataset, e.g. a map shape
+ * - `getDefaultEncoding()`: optional, returns a promise of an encoding config object to use when no encoding is configured
+ * - `getDatasetInfo()`: optional, returns info about the dataset, e.g. `{ name }`
+ */
+export const readerInterface = {
+    read: { required: true },
+    getAsset: { required: false },
+    getDefaultEncoding: { required: false },
+    getDatasetInfo: { required: false }
+};
+
+// reader name -> factory `config => reader`
+const readers = new Map([
+    ['inline', config => inlineReader(config)],
+    ['csv', config => csvReader(config)],
+    ['datapackage', config => ddfReader(config)],
+    ['json', config => jsonReader(config)],
+    ['jsonstat', config => jsonstatReader(config)],
+    ['sdmx', config => sdmxReader(config)]
+]);
+
+/**
+ * Register a reader which data sources can select through their `reader` or `modelType` config.
+ * @param {String} name
+ * @param {Function} factory `config => reader`, gets the data source's config as plain object, including any reader specific options.
+ * Locale and modelType are left out, locale is sent with queries instead.
+ */
+export function registerReader(name, factory) {
+    if (typeof factory != "function")
+        throw new Error(`Reader factory for "${name}" should be a function, got ${typeof factory}.`);
+    if (readers.has(name))
+        console.warn(`Registering reader "${name}" replaces existing reader.`);
+    readers.set(name, factory);
+}
+
+export function hasReader(name) {
+    return readers.has(name);
+}
+
+/**
+ * Create reader with factory registered under name and validate it implements the reader interface.
+ * @param {String} name
+ * @param {Object} config
+ * @returns {Object} reader
+ */
+export function createReader(name, config) {
+    if (!hasReader(name))
+        throw new Error(`Unknown reader "${name}". Use one of: ${[...readers.keys()].join(', ')}.`);
+    return validateReader(readers.get(name)(config), name);
+}
+
+export function validateReader(reader, name) {
+    if (reader == null || typeof reader != "object")
+        throw new Error(`Reader "${name}" should be an object, got ${reader === null ? 'null' : typeof reader}.`);
+    for (const [method, { required }] of Object.entries(readerInterface)) {
+        const type = typeof reader[method];
+        if (type == "undefined" && !required)
+            continue;
+        if (type != "function")
+            throw new Error(`Reader "${name}" should implement ${method} as a function, got ${type}.`);
+    }
+    return reader;
+}
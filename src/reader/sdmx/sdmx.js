@@ -0,0 +1,64 @@
+import { tablesReader, cubeToTables } from "../tables/tables";
+import { loadJson } from "../json/json";
+import { ERRORS, makeError } from "../utils";
+
+/**
+ * Reader for SDMX-JSON data messages (version 1.0 and 2.0), in series or flat observations format. Only the first data set is read.
+ * The observation value is one measure, named by the observation measure in the structure, by default `OBS_VALUE`.
+ * See `cubeToTables` for how dimensions become concepts and entities.
+ * @param {Object} options
+ * @param {String} options.path
+ * @param {String} options.concept concept of the observation values, overrides the measure in the structure
+ * @param {Function} options.externalTextReader file loader `path => Promise<string>`, defaults to `d3.text`
+ */
+export function sdmxReader({ path, concept, externalTextReader }) {
+    return tablesReader(loadJson(path, externalTextReader).then(json => sdmxToTables(json, { concept, path })));
+}
+
+export function sdmxToTables(json, { concept, path = "" } = {}) {
+    // 2.0 messages have data sets and structures in data
+    const data = json.data ?? json;
+    const [dataSet] = data.dataSets ?? [];
+    const structure = data.structure ?? data.structures?.[dataSet?.structure ?? 0];
+    if (!dataSet || !structure)
+        throw makeError(ERRORS.NOT_A_SDMX_DATA_MESSAGE, `No SDMX-JSON data set and structure found in ${path}.`);
+
+    const { dataSet: dataSetDims = [], series: seriesDims = [], observation: observationDims = [] } = structure.dimensions;
+    const dimensions = [...dataSetDims, ...seriesDims, ...observationDims].map(dim => ({
+        id: dim.id,
+        name: dim.name ?? dim.id,
+        time: isTimeDimension(dim),
+        categories: dim.values.map(({ id, name }) => ({ id, name }))
+    }));
+    const measures = [{
+        concept: concept ?? structure.measures?.observation?.[0]?.id ?? "OBS_VALUE",
+        name: structure.name
+    }];
+
+    return cubeToTables({ dimensions, measures, observations: observations(dataSet, dataSetDims.length) });
+}
+
+function isTimeDimension(dim) {
+    return dim.id == "TIME_PERIOD" || dim.role == "time" || dim.roles?.includes("TIME_PERIOD");
+}
+
+// data set dimensions have one value. Series and observation keys are category indices separated by ':'.
+function* observations({ series, observations }, dataSetDimCount) {
+    const dataSetIndices = new Array(dataSetDimCount).fill(0);
+    const parseKey = key => key === "" ? [] : key.split(':').map(Number);
+    if (series) {
+        for (const [seriesKey, { observations = {} }] of Object.entries(series))
+            for (const [observationKey, [value]] of Object.entries(observations))
+                yield [[...dataSetIndices, ...parseKey(seriesKey), ...parseKey(observationKey)], 0, parseValue(value)];
+    } else {
+        for (const [observationKey, [value]] of Object.entries(observations ?? {}))
+            yield [[...dataSetIndices, ...parseKey(observationKey)], 0, parseValue(value)];
+    }
+}
+
+function parseValue(value) {
+    if (value == null || value === "")
+        return null;
+    const number = +value;
+    return Number.isNaN(number) ? null : number;
+}
@@ -0,0 +1,166 @@
+import { DataFrame } from "../../dataframe/dataFrame";
+import { createFilterFn } from "../../dataframe/transforms/filter";
+import { getOrCreate, isMergeableObject, isString } from "../../core/utils";
+import { ERRORS, makeError } from "../utils";
+
+const timeParsers = ['%Y', '%Y-%m', '%Y-%m-%d', '%Y%m%d', '%YM%m', '%Yw%V', '%Y-W%V', '%Yq%q', '%YQ%q', '%Y-Q%q']
+    .map(format => d3.utcParse(format));
+
+/**
+ * Parse DDF and statistical time formats, e.g. `2000`, `2000-03`, `2000M03`, `2000w10`, `2000q2` or `2000-Q2`
+ * @param {String} value
+ * @returns {Date|null} date or null if value is not in a time format
+ */
+export function parseTime(value) {
+    for (const parse of timeParsers) {
+        const date = parse(value);
+        if (date) return date;
+    }
+    return null;
+}
+
+/**
+ * Reader for DDF tables held in memory, e.g. from a dataset converted from another format.
+ * @param {Promise} tablesPromise promise resolving to `{ concepts, entities, datapoints }`, see `cubeToTables`
+ */
+export function tablesReader(tablesPromise) {
+
+    tablesPromise = Promise.resolve(tablesPromise);
+
+    return {
+        async read(query) {
+            const { from, select } = query;
+            const tables = await tablesPromise;
+
+            if (from.endsWith('.schema'))
+                return applyQuery(getSchema(tables, from), query);
+
+            query = Object.assign({}, query, { where: resolveJoins(tables, query.where, query.join) });
+            if (from == "concepts")
+                return applyQuery(tables.concepts, query);
+            if (from == "entities")
+                return applyQuery(getEntities(tables, select.key[0]), query);
+            if (from == "datapoints")
+                return applyQuery(getDatapoints(tables, select.key), query);
+
+            throw makeError(ERRORS.UNKNOWN_COLLECTION, `Unknown collection in query: ${from}`);
+        }
+    }
+}
+
+/**
+ * Convert a data cube, i.e. values for every combination of dimension categories, to DDF tables.
+ * Time dimensions become time concepts, other dimensions become entity domains with their categories as entities.
+ * Dimensions with one category, other than time, are left out of the datapoints key.
+ * @param {Object} cube
+ * @param {Object[]} cube.dimensions `[{ id, name, time, categories: [{ id, name }] }]`
+ * @param {Object[]} cube.measures `[{ concept, name, unit }]`
+ * @param {Iterable} cube.observations `[categoryIndices, measureIndex, value]` per cell, `categoryIndices` in order of `dimensions`
+ * @returns {Object} `{ concepts, entities, datapoints }` where entities are rows per entity domain and datapoints are `{ key, value, rows }`
+ */
+export function cubeToTables({ dimensions, measures, observations }) {
+    const concepts = [{ concept: 'name', concept_type: 'string', name: 'Name' }];
+    const entities = {};
+    for (const { id, name, time, categories } of dimensions) {
+        concepts.push({ concept: id, concept_type: time ? 'time' : 'entity_domain', name });
+        if (!time)
+            entities[id] = categories.map(category => ({ [id]: category.id, name: category.name ?? category.id }));
+    }
+    for (const { concept, name, unit } of measures) {
+        const row = { concept, concept_type: 'measure', name: name ?? concept };
+        if (unit != null) row.unit = unit;
+        concepts.push(row);
+    }
+
+    const keyPositions = dimensions.flatMap((dim, i) => dim.time || dim.categories.length > 1 ? [i] : []);
+    const keyValues = dimensions.map(dim => dim.categories.map(category => dim.time ? parseTimeCategory(category.id, dim) : category.id));
+    const emptyRow = Object.fromEntries(measures.map(({ concept }) => [concept, null]));
+    const rows = new Map();
+    for (const [indices, measure, value] of observations) {
+        if (value == null)
+            continue;
+        const keyStr = keyPositions.map(i => indices[i]).join();
+        const row = getOrCreate(rows, keyStr, () => {
+            const row = Object.assign({}, emptyRow);
+            for (const i of keyPositions)
+                row[dimensions[i].id] = keyValues[i][indices[i]];
+            return row;
+        });
+        row[measures[measure].concept] = value;
+    }
+
+    return {
+        concepts,
+        entities,
+        datapoints: {
+            key: keyPositions.map(i => dimensions[i].id),
+            value: measures.map(({ concept }) => concept),
+            rows: [...rows.values()]
+        }
+    };
+}
+
+function parseTimeCategory(id, dim) {
+    const date = parseTime(id);
+    if (!date)
+        console.warn(`Could not parse "${id}" of time dimension "${dim.id}" as time, using it as string.`, dim);
+    return date ?? id;
+}
+
+function getSchema({ concepts, entities, datapoints }, from) {
+    const fieldsOf = rows => [...new Set(rows.flatMap(row => Object.keys(row)))];
+    switch (from) {
+        case "concepts.schema":
+            return fieldsOf(concepts).filter(field => field != 'concept')
+                .map(value => ({ key: ['concept'], value }));
+        case "entities.schema":
+            return Object.entries(entities).flatMap(([domain, rows]) => fieldsOf(rows).filter(field => field != domain)
+                .map(value => ({ key: [domain], value })));
+        case "datapoints.schema":
+            return datapoints.value.map(value => ({ key: datapoints.key, value }));
+    }
+    throw new Error(`Unknown schema query from "${from}". Use one of: concepts.schema, entities.schema, datapoints.schema.`);
+}
+
+function getEntities({ entities }, domain) {
+    if (!(domain in entities))
+        throw makeError(ERRORS.UNKNOWN_KEY, `Unknown entity domain "${domain}". Use one of: ${Object.keys(entities).join(', ')}.`);
+    return entities[domain];
+}
+
+function getDatapoints({ datapoints }, key) {
+    if ([...key].sort().join() != [...datapoints.key].sort().join())
+        throw makeError(ERRORS.UNKNOWN_KEY, `Unknown datapoints key "${key.join(', ')}". Use "${datapoints.key.join(', ')}".`);
+    return datapoints.rows;
+}
+
+function resolveJoins({ entities }, where, join = {}) {
+    const joinFilters = {};
+    for (const [joinId, { key, where: joinWhere }] of Object.entries(join)) {
+        const filterFn = createFilterFn(joinWhere);
+        joinFilters[joinId] = { $in: (entities[key] ?? []).filter(filterFn).map(entity => entity[key]) };
+    }
+    return replaceJoinIds(where, joinFilters);
+}
+
+/**
+ * Replace join ids in where, e.g. `{ geo: "$geo" }`, with the filters of the joins, e.g. `{ geo: { $in: ["swe", "nor"] } }`
+ * @param {Object} where
+ * @param {Object} joinFilters filter per join id
+ */
+export function replaceJoinIds(where, joinFilters) {
+    if (Array.isArray(where))
+        return where.map(spec => replaceJoinIds(spec, joinFilters));
+    if (!isMergeableObject(where))
+        return isString(where) && where in joinFilters ? joinFilters[where] : where;
+    return Object.fromEntries(Object.entries(where).map(([field, spec]) => [field, replaceJoinIds(spec, joinFilters)]));
+}
+
+export function applyQuery(rows, { select, where, order_by }) {
+    return DataFrame(rows, select.key)
+        .lazy()
+        .filter(where)
+        .project([...select.key, ...select.value])
+        .order(order_by)
+        .collect();
+}
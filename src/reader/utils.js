@@ -0,0 +1,40 @@
+// error names of readers, set as `error.name`
+export const ERRORS = {
+    FILE_NOT_FOUND: 'reader/error/fileNotFoundOrPermissionsOrEmpty',
+    WRONG_TIME_COLUMN_OR_UNITS: 'reader/error/wrongTimeUnitsOrColumn',
+    NOT_ENOUGH_ROWS_IN_FILE: 'reader/error/notEnoughRows',
+    UNDEFINED_DELIMITER: 'reader/error/undefinedDelimiter',
+    EMPTY_HEADERS: 'reader/error/emptyHeaders',
+    DIFFERENT_SEPARATORS: 'reader/error/differentSeparators',
+    REPEATED_KEYS: 'reader/error/repeatedKeys',
+    NO_DDF_SCHEMA: 'reader/error/noDdfSchema',
+    UNKNOWN_COLLECTION: 'reader/error/unknownCollection',
+    UNKNOWN_KEY: 'reader/error/unknownKey',
+    INVALID_JSON: 'reader/error/invalidJson',
+    NOT_AN_ARRAY: 'reader/error/notAnArray',
+    UNKNOWN_FORMAT: 'reader/error/unknownFormat',
+    NOT_A_JSONSTAT_DATASET: 'reader/error/notJsonstatDataset',
+    NOT_A_SDMX_DATA_MESSAGE: 'reader/error/notSdmxDataMessage'
+};
+
+export function makeError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+/**
+ * Load a file, rejecting with a `FILE_NOT_FOUND` error if loading fails
+ * @param {Function} reader file loader `path => Promise`, e.g. `d3.text`
+ * @param {String} path
+ * @returns {Promise} result of reader
+ */
+export function loadOrFileNotFound(reader, path) {
+    return reader(path)
+        .catch(error => {
+            error.name = ERRORS.FILE_NOT_FOUND;
+            error.message = `No permissions, missing or empty file: ${path}`;
+            error.endpoint = path;
+            throw error;
+        });
+}
@@ -76,6 +76,41 @@ describe('create stand alone data configs', () => {
         return check(data, 'domain').then(domain => expect(domain).toEqual(['foo']));
     })
 
+    it('adds expression column to response', () => {
+        const data = dataConfig({
+            source: {
+                values: [{ x: 1, y: 2 }, { x: 5, y: 6 }, { x: 0, y: 1 }]
+            },
+            space: [],
+            expression: 'y / x * 10'
+        });
+        return check(data, 'domain').then(domain => {
+            expect(data.concept).toBe('y / x * 10');
+            expect(data.conceptProps.concept_type).toBe('measure');
+            expect(data.response.get(1)['y / x * 10']).toBe(12);
+            expect(data.response.get(2)['y / x * 10']).toBeNull();
+            expect(domain).toEqual([12, 20]);
+        });
+    })
+
+    it('autoconfigures space to space with all fields of expression', () => {
+        const data = dataConfig({
+            source: { 
+                path: 'test/ddf--jheeffer--mdtest',
+                modelType: 'ddf'
+            },
+            expression: 'if(life_expectancy > 80, "long", "short")',
+            space: { filter: {
+                concept: { '$in': ['geo', 'gender', 'time'] }
+            }}
+        });
+        return check(data, 'response').then(response => {
+            expect(data.space).toEqual(['geo', 'time']);
+            expect(data.conceptProps.concept_type).toBe('string');
+            expect(response.get({ geo: 'swe', time: new Date(Date.UTC(2016)) })[data.concept]).toBe('long');
+        });
+    })
+
     it('create a new dataConfig with 3d space from ddf', () => {
         const data = dataConfig({
             source: { 
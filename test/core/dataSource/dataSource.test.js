@@ -0,0 +1,75 @@
+import { dataSource } from '../../../src/core/dataSource/dataSource';
+import { DUPLICATE_KEYS } from '../../../src/dataframe/storage/duplicates';
+import { dataSourceStore } from '../../../src/core/dataSource/dataSourceStore';
+import { registerReader } from '../../../src/reader/registry';
+import { autorun, runInAction } from 'mobx';
+
+function stateError(model) {
+    return new Promise(resolve => {
+        const destruct = autorun(() => {
+            try { 
+                model.state;
+            } catch (error) {
+                resolve(error);
+                setTimeout(destruct);
+            }
+        });
+    });
+}
+
+describe('dataSource', () => {
+
+    it('rejects state with duplicates report', async () => {
+        const ds = dataSource({ 
+            values: [{ geo: 'swe', pop: 1 }, { geo: 'swe', pop: 2 }], 
+            keyConcepts: ['geo'], 
+            duplicates: 'error' 
+        });
+        const error = await stateError(ds);
+        expect(error.name).toBe(DUPLICATE_KEYS);
+        expect(error.duplicates.duplicates[0].rows.map(row => row.pop)).toEqual([1, 2]);
+    });
+
+    it('selects reader by config and passes options through', () => {
+        const configs = [];
+        registerReader('api', config => (configs.push(config), { read: async () => [] }));
+
+        const ds = dataSource({ reader: 'api', token: 'secret', locale: 'en' });
+        const destruct = autorun(() => ds.reader); // keep reader computed observed
+        expect(ds.readerName).toBe('api');
+        expect(configs).toEqual([expect.objectContaining({ reader: 'api', token: 'secret' })]);
+        runInAction(() => ds.config.locale = 'sv');
+        runInAction(() => ds.config.keyConcepts = []);
+        ds.reader;
+        expect(configs).toHaveLength(1);
+        runInAction(() => ds.config.token = 'other');
+        expect(configs).toHaveLength(2);
+        expect(configs[1]).not.toHaveProperty('locale');
+        destruct();
+
+        expect(dataSource({ modelType: 'api' }).readerName).toBe('api');
+        expect(dataSource({ values: [] }).readerName).toBe('inline');
+        expect(dataSource({ path: 'data.csv' }).readerName).toBe('csv');
+        expect(dataSource({ path: 'ddf/datapackage.json' }).readerName).toBe('datapackage');
+    });
+
+    it('creates data sources of types added with createAndAddType', () => {
+        dataSourceStore.createAndAddType('store', { 
+            init(config) { this.path = config.path }, 
+            read: async () => [] 
+        });
+        expect(dataSourceStore.modelTypes.store).toBeDefined();
+
+        const ds = dataSourceStore.create({ modelType: 'store', path: 'data/' });
+        const destruct = autorun(() => ds.reader);
+        expect(ds.readerName).toBe('store');
+        expect(ds.reader.path).toBe('data/');
+        destruct();
+    });
+
+    it('rejects state when reader is unknown', async () => {
+        const error = await stateError(dataSource({ reader: 'foo' }));
+        expect(error.message).toMatch(/^Unknown reader "foo"/);
+    });
+
+});
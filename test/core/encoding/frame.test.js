@@ -122,4 +122,115 @@ describe('frame encoding', () => {
             }
         ])
     })
+
+    it('marker dataMapDiff between frames', () => {
+        const mrk = marker({
+            data: {
+                source: {
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo','gender','time']
+            },
+            encoding: {
+                x: { data: { concept: 'population_total' } },
+                frame: { 
+                    modelType: 'frame',
+                    data: { concept: 'time' }
+                }
+            }
+        })
+        const keyStr = createKeyFn(['gender', 'geo'])({ gender: 'male', geo: 'prk' });
+        return multiCheck(mrk, 'dataMapDiff', [
+            {
+                check: diff => {
+                    expect(diff.enter.has(keyStr)).toBe(true);
+                    expect(diff.exit.size + diff.update.size).toBe(0);
+                }
+            }, 
+            { 
+                action: () => mrk.encoding.frame.startPlaying(),
+                check: diff => {
+                    expect(diff.enter.size).toBe(0);
+                    expect(diff.update.get(keyStr).fields).toEqual(expect.arrayContaining(['time', 'frame', 'x']));
+                }
+            },
+            { 
+                action: () => mrk.encoding.frame.dispose()
+            }
+        ])
+    })
+
+    it('marker dataMapDiff is undefined while pending', () => {
+        const mrk = marker({
+            data: {
+                source: {
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo','gender','time']
+            },
+            encoding: {
+                x: { data: { concept: 'population_total' } },
+                frame: { 
+                    modelType: 'frame',
+                    data: { concept: 'time' }
+                }
+            }
+        })
+        return new Promise(resolve => {
+            const diffs = [];
+            const destruct = autorun(() => {
+                diffs.push(mrk.dataMapDiff);
+                if (mrk.state == 'fulfilled') {
+                    expect(diffs[0]).toBeUndefined();
+                    expect(mrk.dataMapDiff.enter.size).toBeGreaterThan(0);
+                    destruct();
+                    mrk.encoding.frame.dispose();
+                    resolve();
+                }
+            });
+        });
+    })
+
+    it('completes multi-dimension markers in empty frames', () => {
+        const mrk = marker({
+            data: {
+                source: {
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo', 'gender', 'age', 'time'],
+                filter: { dimensions: { 
+                    geo: { geo: { $in: ['swe'] } }, 
+                    time: { time: { $in: ['2000', '2003'] } } 
+                } }
+            },
+            encoding: {
+                x: { data: { concept: 'population_total' } },
+                frame: { 
+                    modelType: 'frame',
+                    data: { concept: 'time' },
+                    value: '2001',
+                    playEmptyFrames: true
+                }
+            }
+        })
+        const keyObj = { geo: 'swe', gender: 'female', age: '00_14' };
+        return multiCheck(mrk, 'dataMap', [
+            {
+                check: dataMap => {
+                    const frameMap = mrk.getTransformedDataMap('frame.frameMap');
+                    expect([...frameMap.values()].map(frame => frame.size)).toEqual([4, 4, 4, 4]);
+                    expect(mrk.encoding.frame.stepCount).toBe(4);
+                    expect(dataMap.size).toBe(4);
+                    // 2000: 795892, 2003: 777079
+                    expect(dataMap.get(keyObj).x).toBeCloseTo(789621);
+                }
+            }, 
+            { 
+                action: () => mrk.encoding.frame.dispose()
+            }
+        ])
+    })
 })
\ No newline at end of file
@@ -76,6 +76,85 @@ describe('create marker', () => {
         })
     })
 
+    it('create a new marker with expression encoding', async () => {
+        const mrk = marker({
+            data: {   
+                source: { 
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo','gender','time']
+            },
+            encoding: {
+                size: { data: { concept: 'population_total' } },
+                x: { data: { 
+                    space: ['geo', 'time'],
+                    expression: 'income_per_person_gdppercapita_ppp_inflation_adjusted * population_total / 1e6' 
+                } }
+            }
+        })
+        const dataMap = await check(mrk, 'dataMap');
+        const row = dataMap.get({ geo: 'swe', gender: 'male', time: new Date(Date.UTC(2012)) });
+        expect(row.size).toBe(4748680);
+        expect(row.x).toBeCloseTo(43308 * 9519374 / 1e6);
+        expect(mrk.encoding.x.data.config.concept).toBeUndefined();
+    })
+
+    it('normalizes encodings with marker transformations', async () => {
+        const mrk = marker({
+            data: {   
+                source: { 
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo','time']
+            },
+            encoding: {
+                size: { data: { concept: 'population_total' } },
+                x: { data: { concept: 'population_total' }, perCapita: { encoding: 'y', scale: 1 } },
+                y: { data: { concept: 'life_expectancy' }, indexToFrame: '2000' },
+                frame: { modelType: 'frame', data: { concept: 'time' }, value: '2012' }
+            },
+            transformations: [
+                'frame.frameMap',
+                'x.perCapita',
+                'size.shareOfTotal',
+                'y.indexToFrame',
+                'filterRequired',
+                'frame.currentFrame'
+            ]
+        })
+        const dataMap = await check(mrk, 'dataMap');
+        const row = dataMap.get({ geo: 'swe' });
+        expect(row.x).toBeCloseTo(9519374 / 81.70488);
+        expect(row.y).toBeCloseTo(81.70488 / 79.6439 * 100);
+        expect(d3.sum(dataMap.values(), row => row.size)).toBeCloseTo(100);
+    })
+
+    it('applies window functions on encodings along frames', async () => {
+        const mrk = marker({
+            data: {
+                source: {
+                    path: 'test/ddf--jheeffer--mdtest',
+                    modelType: 'ddf'
+                },
+                space: ['geo','time']
+            },
+            encoding: {
+                y: { data: { concept: 'life_expectancy' }, window: { rollingMean: { size: 3 } } },
+                frame: { modelType: 'frame', data: { concept: 'time' }, value: '2012' }
+            },
+            transformations: [
+                'frame.frameMap',
+                'y.window',
+                'filterRequired',
+                'frame.currentFrame'
+            ]
+        })
+        const dataMap = await check(mrk, 'dataMap');
+        expect(dataMap.get({ geo: 'swe' }).y).toBeCloseTo((81.45122 + 81.80244 + 81.70488) / 3);
+    })
+
     it('create a new marker with just dataset and encodings', async () => {
 
         const mrk = marker({
@@ -0,0 +1,134 @@
+import { Worker } from 'worker_threads';
+import { autorun } from 'mobx';
+import { DataFrame } from '../../../src/dataframe/dataFrame';
+import { createWorkerPipeline, setWorker } from '../../../src/core/worker/workerPipeline';
+import { runSteps } from '../../../src/core/worker/steps';
+import { marker } from '../../../src/core/marker/marker';
+import { dataSourceStore } from '../../../src/core/dataSource/dataSourceStore';
+import * as DDFCsvReader from 'vizabi-ddfcsv-reader';
+
+const DDFReadObject = DDFCsvReader.getDDFCsvReaderObject();
+dataSourceStore.createAndAddType('ddf', DDFReadObject);
+
+const createWorker = () => new Worker('./test/jest/worker.js');
+
+const df = DataFrame([
+    { geo: 'swe', time: 2000, pop: 10 },
+    { geo: 'nor', time: 2000, pop: 5 },
+    { geo: 'swe', time: 2002, pop: 12 },
+    { geo: 'nor', time: 2002, pop: null }
+], ['geo', 'time']);
+
+const steps = [
+    { step: 'frameMap', options: { name: 'time', rowKeyDims: ['geo'], conceptProps: { concept: 'time', concept_type: 'measure' } } },
+    { step: 'interpolate', options: { enabled: true, fields: ['pop'], methods: {}, concept: 'time', name: 'time' } },
+    { step: 'filterRequired', options: { requiredEncodings: ['pop'] } }
+];
+
+// symbol keyed provenance, like Symbol.for('interpolated'), is compared separately
+// dates from worker are compared by time, as they are created outside of jest's realm
+const plain = row => Object.fromEntries(Object.entries(row).map(([field, value]) => [field, typeof value?.getTime == "function" ? value.getTime() : value]));
+const rows = group => [...group.values()].map(frame => [...frame.values()].map(plain));
+
+function dataMapWhenFulfilled(mrk) {
+    return new Promise(resolve => {
+        const destruct = autorun(() => {
+            if (mrk.state == 'fulfilled') {
+                const dataMap = mrk.dataMap;
+                setTimeout(destruct);
+                resolve(dataMap);
+            }
+        });
+    });
+}
+
+const markerConfig = worker => ({
+    data: {
+        source: { path: 'test/ddf--jheeffer--mdtest', modelType: 'ddf' },
+        space: ['geo', 'gender', 'time']
+    },
+    encoding: {
+        x: { data: { concept: 'population_total' } },
+        y: { data: { concept: 'life_expectancy' } },
+        frame: { modelType: 'frame', data: { concept: 'time' }, value: '2012' }
+    },
+    worker
+});
+
+describe('worker pipeline', () => {
+
+    it('runs steps in worker with same results as main thread', async () => {
+        const worker = createWorker();
+        const pipeline = createWorkerPipeline(worker);
+        try {
+            const results = await pipeline.run(df, steps);
+            const expected = runSteps(df, steps);
+            expect(results).toHaveLength(3);
+            expect(results[0].type).toBe('Group');
+            expect(rows(results[1])).toEqual(rows(expected[1]));
+            expect(results[1].get('2001').get({ geo: 'swe' }).pop).toBe(11);
+            expect(rows(results[2])).toEqual(rows(expected[2]));
+        } finally {
+            await pipeline.terminate();
+        }
+    });
+
+    it('keeps provenance of interpolated rows from worker', async () => {
+        const pipeline = createWorkerPipeline(createWorker());
+        try {
+            const [, interpolated] = await pipeline.run(df, steps.slice(0, 2));
+            const gapRow = interpolated.get('2001').get({ geo: 'swe' });
+            const [start, end] = gapRow[Symbol.for('interpolated')].pop;
+            expect([start.pop, end.pop]).toEqual([10, 12]);
+            expect(Symbol.for('interpolated') in interpolated.get('2000').get({ geo: 'swe' })).toBe(false);
+        } finally {
+            await pipeline.terminate();
+        }
+    });
+
+    it('rejects when a step throws in worker', async () => {
+        const pipeline = createWorkerPipeline(createWorker());
+        try {
+            await expect(pipeline.run(df, [{ step: 'nonexistent' }])).rejects.toThrow(/Unknown pipeline step/);
+        } finally {
+            await pipeline.terminate();
+        }
+    });
+
+    it('rejects pending and later runs when worker fails or exits', async () => {
+        const failing = createWorkerPipeline(new Worker(`
+            require('worker_threads').parentPort.on('message', () => { throw new Error('boom') });
+        `, { eval: true }));
+        await expect(failing.run(df, steps)).rejects.toThrow(/Worker failed: boom/);
+        await expect(failing.run(df, steps)).rejects.toThrow(/Worker exited/);
+
+        // answers with unknown id before exiting
+        const exiting = createWorkerPipeline(new Worker(`
+            const { parentPort } = require('worker_threads');
+            parentPort.on('message', ({ id }) => {
+                parentPort.postMessage({ id: id + 1, results: [] });
+                setTimeout(() => process.exit(3), 10);
+            });
+        `, { eval: true }));
+        await expect(exiting.run(df, steps)).rejects.toThrow(/Worker exited with code 3/);
+    });
+
+    it('runs marker transformations in worker when configured', async () => {
+        const mainThread = marker(markerConfig(false));
+        const expected = await dataMapWhenFulfilled(mainThread);
+        setWorker(createWorker());
+        try {
+            const inWorker = marker(markerConfig(true));
+            const dataMap = await dataMapWhenFulfilled(inWorker);
+            expect(dataMap.size).toBeGreaterThan(0);
+            expect(inWorker.transformedDataMaps.workerBatches.length).toBe(1);
+            expect(inWorker.pipelineState).toBe('fulfilled');
+            expect([...dataMap.values()].map(plain)).toEqual([...expected.values()].map(plain));
+            inWorker.dispose();
+        } finally {
+            setWorker();
+            mainThread.dispose();
+        }
+    });
+
+});
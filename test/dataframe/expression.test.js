@@ -0,0 +1,90 @@
+import { compileExpression } from "../../src/dataframe/expression";
+import { DataFrame } from "../../src/dataframe/dataFrame";
+
+const row = { gdp: 100, population: 4, pop: 2e6, x: Math.E, name: 'swe', missing: null, 'is--country': true };
+const evaluate = expression => compileExpression(expression)(row);
+
+describe('expressions', () => {
+
+    it('evaluates arithmetic with precedence', () => {
+        expect(evaluate('gdp / population * 1000')).toBe(25000);
+        expect(evaluate('1 + 2 * 3 - 4 / 2')).toBe(5);
+        expect(evaluate('(1 + 2) * 3')).toBe(9);
+        expect(evaluate('1 - 2 - 3')).toBe(-4);
+        expect(evaluate('gdp % 7')).toBe(2);
+        expect(evaluate('-2^2')).toBe(-4);
+        expect(evaluate('2^3^2')).toBe(512);
+        expect(evaluate('2^-1')).toBe(0.5);
+        expect(evaluate('1.5e6 + .5')).toBe(1500000.5);
+    })
+
+    it('evaluates comparisons, logic and strings', () => {
+        expect(evaluate("if(pop > 1e6, 'big', 'small')")).toBe('big');
+        expect(evaluate('if(pop < 1e6, "big")')).toBeNull();
+        expect(evaluate('gdp >= 100 and not (population == 5) or false')).toBe(true);
+        expect(evaluate('gdp > 100 || population = 4 && !`is--country`')).toBe(false);
+        expect(evaluate("name + '!'")).toBe('swe!');
+        expect(evaluate("'it\\'s'")).toBe("it's");
+    })
+
+    it('gives null for missing values and non-finite results', () => {
+        expect(evaluate('missing * 2')).toBeNull();
+        expect(evaluate('unknown_field + 1')).toBeNull();
+        expect(evaluate('gdp / 0')).toBeNull();
+        expect(evaluate('log(0)')).toBeNull();
+        expect(evaluate('missing > 1')).toBeNull();
+        expect(evaluate('missing == null')).toBe(true);
+        expect(evaluate('isnull(missing)')).toBe(true);
+        expect(evaluate('coalesce(missing, gdp)')).toBe(100);
+    })
+
+    it('calls functions', () => {
+        expect(evaluate('log(x)')).toBe(1);
+        expect(evaluate('round(3.14159, 2)')).toBe(3.14);
+        expect(evaluate('max(1, gdp, 3) + min(2, 1)')).toBe(101);
+        expect(evaluate('sqrt(abs(-16))')).toBe(4);
+    })
+
+    it('only evaluates needed arguments of if', () => {
+        let called = 0;
+        const expression = compileExpression('if(gdp > 0, gdp, other)');
+        const counted = new Proxy(row, { get: (target, field) => (field == 'other' && called++, target[field]) });
+        expect(expression(counted)).toBe(100);
+        expect(called).toBe(0);
+    })
+
+    it('lists fields and result type', () => {
+        const expression = compileExpression('if(`is--country`, gdp / pop, -gdp)');
+        expect(expression.fields).toEqual(['is--country', 'gdp', 'pop']);
+        expect(expression.type).toBe('number');
+        expect(compileExpression("if(pop > 1, 'a', 'b')").type).toBe('string');
+        expect(compileExpression("if(pop > 1, 'a', 1)").type).toBe('any');
+        expect(compileExpression('pop > 1').type).toBe('boolean');
+        expect(compileExpression('pop').type).toBe('any');
+    })
+
+    it('throws on invalid expressions', () => {
+        expect(() => compileExpression('gdp +')).toThrow('Unexpected end at position 5 in expression "gdp +".');
+        expect(() => compileExpression('1 2')).toThrow('Unexpected "2" at position 2');
+        expect(() => compileExpression('gdp $ 2')).toThrow('Unexpected character "$"');
+        expect(() => compileExpression("'abc")).toThrow('Unterminated string');
+        expect(() => compileExpression('(1')).toThrow('Unexpected end');
+        expect(() => compileExpression('eval(1)')).toThrow(/Unknown function "eval".*Use one of: abs/);
+        expect(() => compileExpression('round()')).toThrow('Function "round" takes 1 to 2 arguments, got 0');
+        expect(() => compileExpression('constructor.constructor')).toThrow('Unexpected character "."');
+    })
+
+    it('adds expression column to dataframe', () => {
+        const df = DataFrame([
+            { geo: 'swe', gdp: 100, population: 4 },
+            { geo: 'nor', gdp: 50, population: null }
+        ], ['geo']);
+        df.addColumn('gdp_per_cap', { expression: 'gdp / population' });
+        expect(df.get({ geo: 'swe' }).gdp_per_cap).toBe(25);
+        expect(df.get({ geo: 'nor' }).gdp_per_cap).toBeNull();
+
+        const lazy = df.lazy().addColumn('rich', { expression: 'gdp_per_cap > 10' }).filter({ rich: true }).collect();
+        expect([...lazy.keys()]).toEqual([df.keyFn({ geo: 'swe' })]);
+    })
+
+})
@@ -0,0 +1,37 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const prev = DataFrame([
+    { geo: 'swe', pop: 10, lex: 80 },
+    { geo: 'nor', pop: 5, lex: 81 },
+    { geo: 'fin', pop: 5, lex: 79 }
+], ['geo']);
+
+const next = DataFrame([
+    { geo: 'swe', pop: 11, lex: 80 },
+    { geo: 'nor', pop: 5, lex: 81 },
+    { geo: 'dnk', pop: 6, lex: 80 }
+], ['geo']);
+
+describe('dataframe diff', () => {
+
+    it('returns enter, exit, update and unchanged', () => {
+        const { enter, exit, update, unchanged } = DataFrame.diff(prev, next);
+        expect([...enter.keys()]).toEqual(['dnk']);
+        expect([...exit.keys()]).toEqual(['fin']);
+        expect([...unchanged.keys()]).toEqual(['nor']);
+        expect(update.get('swe')).toEqual({ row: next.get({ geo: 'swe' }), prev: prev.get({ geo: 'swe' }), fields: ['pop'] });
+    });
+
+    it('compares only given fields', () => {
+        const { update, unchanged } = DataFrame.diff(prev, next, { fields: ['lex'] });
+        expect(update.size).toBe(0);
+        expect([...unchanged.keys()]).toEqual(['swe', 'nor']);
+    });
+
+    it('compares dates by value', () => {
+        const a = DataFrame([{ geo: 'swe', time: new Date(Date.UTC(2000)) }], ['geo']);
+        const b = DataFrame([{ geo: 'swe', time: new Date(Date.UTC(2000)) }], ['geo']);
+        expect(DataFrame.diff(a, b).unchanged.size).toBe(1);
+    });
+
+});
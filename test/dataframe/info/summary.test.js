@@ -0,0 +1,53 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const df = DataFrame([
+    { geo: 'swe', time: 2000, pop: 1, region: 'europe' },
+    { geo: 'nor', time: 2000, pop: 2, region: 'europe' },
+    { geo: 'chn', time: 2000, pop: 3, region: 'asia' },
+    { geo: 'ind', time: 2000, pop: 4, region: 'asia' },
+    { geo: 'atl', time: 2000, pop: null, region: null },
+    { geo: 'swe', time: 2001, pop: 10, region: 'europe' },
+    { geo: 'nor', time: 2001, pop: 20, region: 'europe' }
+], ['geo', 'time']);
+
+describe('dataframe summary statistics', () => {
+
+    it('summarizes numeric and categorical fields', () => {
+        const frame2000 = df.filter({ time: 2000 });
+        const { pop, region } = frame2000.summary(['pop', 'region']);
+        expect(pop).toEqual({
+            count: 4, nulls: 1, distinct: 4, min: 1, max: 4, mean: 2.5,
+            stddev: expect.closeTo(1.291, 3),
+            quantiles: { 0.25: 1.75, 0.5: 2.5, 0.75: 3.25 }
+        });
+        expect(region).toEqual(expect.objectContaining({ count: 4, nulls: 1, distinct: 2, min: 'asia', max: 'europe', mean: undefined }));
+    });
+
+    it('summarizes all fields with custom quantiles', () => {
+        const result = df.summary(undefined, { quantiles: [0.1] });
+        expect(Object.keys(result)).toEqual(['geo', 'time', 'pop', 'region']);
+        expect(result.time.quantiles).toEqual({ 0.1: 2000 });
+    });
+
+    it('calculates quantiles', () => {
+        expect(df.quantile('pop', 0.5)).toBe(3.5);
+        expect(df.quantile('pop', [0, 1])).toEqual([1, 20]);
+    });
+
+    it('bins histograms', () => {
+        const bins = df.histogram('pop', { thresholds: [5, 15] });
+        expect(bins.map(bin => bin.length)).toEqual([4, 1, 1]);
+        expect([bins[1].x0, bins[1].x1]).toEqual([5, 15]);
+        expect(df.histogram('pop', { bins: 2, domain: [0, 20] }).map(bin => bin.length)).toEqual([4, 2]);
+    });
+
+    it('works per member of groups', () => {
+        const group = df.groupBy('time', ['geo']);
+        const summaries = group.summary(['pop']);
+        expect(summaries.get('2000').pop.mean).toBe(2.5);
+        expect(summaries.get('2001').pop.mean).toBe(15);
+        expect(group.quantile('pop', 1).get('2001')).toBe(20);
+        expect(group.histogram('pop', { thresholds: [3] }).get('2000').map(bin => bin.length)).toEqual([2, 2]);
+    });
+
+});
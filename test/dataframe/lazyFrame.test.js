@@ -0,0 +1,91 @@
+import { DataFrame } from "../../src/dataframe/dataFrame";
+
+const rows = () => [
+    { geo: 'swe', time: 2000, pop: 9, gdp: 10 },
+    { geo: 'nor', time: 2000, pop: 5, gdp: 20 },
+    { geo: 'chn', time: 2000, pop: 1300, gdp: 5 },
+    { geo: 'swe', time: 2001, pop: 10, gdp: 12 },
+    { geo: 'nor', time: 2001, pop: null, gdp: 22 }
+];
+const regions = DataFrame([
+    { geo: 'swe', region: 'europe' },
+    { geo: 'nor', region: 'europe' },
+    { geo: 'chn', region: 'asia' }
+], ['geo']);
+
+const ops = lazy => lazy.explain().map(step => step.op);
+
+describe('lazy dataframe', () => {
+
+    it('gives same result as eager chain', () => {
+        const df = DataFrame(rows(), ['geo', 'time']);
+        const eager = df
+            .filter({ time: 2000 })
+            .project(['pop'])
+            .order([{ pop: 'desc' }]);
+        const lazy = df.lazy()
+            .filter({ time: 2000 })
+            .project(['pop'])
+            .order([{ pop: 'desc' }])
+            .collect();
+        expect(lazy.key).toEqual(eager.key);
+        expect([...lazy.keys()]).toEqual([...eager.keys()]);
+        expect([...lazy.values()]).toEqual([...eager.values()]);
+        expect(lazy.fields).toEqual(eager.fields);
+    });
+
+    it('pushes filters below order, joins and projections and fuses them', () => {
+        const df = DataFrame(rows(), ['geo', 'time']);
+        const lazy = df.lazy()
+            .leftJoin([{ dataFrame: regions, projection: ['region'] }])
+            .project(['pop', 'region'])
+            .order(['pop'])
+            .filter({ pop: { $gt: 5 } })
+            .filter({ time: 2000 });
+        expect(ops(lazy)).toEqual(['filter', 'leftJoin', 'project', 'order']);
+        const result = lazy.collect();
+        expect([...result.values()].map(row => [row.geo, row.region])).toEqual([['swe', 'europe'], ['chn', 'asia']]);
+    });
+
+    it('keeps filters on joined or added fields and filter functions above them', () => {
+        const df = DataFrame(rows(), ['geo', 'time']);
+        const lazy = df.lazy()
+            .innerJoin([{ dataFrame: regions, projection: ['region'] }])
+            .filter({ region: 'asia' })
+            .addColumn('gdp_per_cap', row => row.gdp / row.pop)
+            .filter(row => row.gdp_per_cap < 1)
+            .project({ gdp_per_cap: ['gdppc'] })
+            .filter({ gdppc: { $exists: true } });
+        expect(ops(lazy)).toEqual(['innerJoin', 'filter', 'addColumn', 'filter', 'project', 'filter']);
+        expect([...lazy.collect().values()]).toEqual([
+            { geo: 'chn', time: 2000, gdppc: 5 / 1300, [Symbol.for('key')]: df.keyFn({ geo: 'chn', time: 2000 }) }
+        ]);
+        expect(df.get({ geo: 'chn', time: 2000 }).gdp_per_cap).toBeUndefined();
+    });
+
+    it('matches semi and anti joins', () => {
+        const df = DataFrame(rows(), ['geo', 'time']);
+        const some = DataFrame([{ geo: 'swe' }], ['geo']);
+        expect(df.lazy().semiJoin([{ dataFrame: some }]).collect().size).toBe(2);
+        expect(df.lazy().antiJoin([{ dataFrame: some }]).filter({ time: 2001 }).collect().size).toBe(1);
+    });
+
+    it('uses secondary indexes for first filter', () => {
+        const df = DataFrame(rows(), ['geo', 'time']).createIndex('geo');
+        let tested = 0;
+        const result = df.lazy()
+            .order(['time'])
+            .filter(row => (tested++, true))
+            .filter({ geo: 'nor' })
+            .collect();
+        expect([...result.values()].map(row => row.time)).toEqual([2000, 2001]);
+        expect(tested).toBe(2);
+    });
+
+    it('skips empty filters and orders', () => {
+        const df = DataFrame(rows(), ['geo', 'time']);
+        expect(df.lazy().filter({}).order([]).explain()).toEqual([]);
+        expect(df.lazy().collect().size).toBe(5);
+    });
+
+});
@@ -0,0 +1,57 @@
+import { DataFrame } from "../../src/dataframe/dataFrame";
+import { serialize, deserialize } from "../../src/dataframe/serialize";
+import * as v8 from "v8";
+
+// checks if value can be structured cloned, like postMessage does. Doesn't use the clone, as its dates are from outside jest's realm.
+const structuredClone = value => (v8.serialize(value), value);
+
+const df = DataFrame([
+    { geo: 'swe', time: new Date(Date.UTC(2000)), pop: 10 },
+    { geo: 'nor', time: new Date(Date.UTC(2000)), pop: 5 },
+    { geo: 'swe', time: new Date(Date.UTC(2001)), pop: 11 }
+], ['geo', 'time']);
+
+describe('dataframe serialization', () => {
+
+    it('serializes dataframes to structured clonable objects', () => {
+        const cloned = structuredClone(serialize(df));
+        const result = deserialize(cloned);
+        expect(result.key).toEqual(df.key);
+        expect([...result.keys()]).toEqual([...df.keys()]);
+        expect([...result.values()]).toEqual([...df.values()]);
+        expect(result.get({ geo: 'swe', time: new Date(Date.UTC(2001)) }).pop).toBe(11);
+    });
+
+    it('serializes provenance of interpolated and extrapolated rows', () => {
+        const source = { geo: 'swe', time: 2000, pop: 10 };
+        const rows = [
+            source,
+            { geo: 'swe', time: 2001, pop: 10, [Symbol.for('extrapolated')]: { pop: source } },
+            { geo: 'nor', time: 2001, pop: 5, [Symbol.for('interpolated')]: { pop: [source, source] } }
+        ];
+        const serialized = structuredClone(serialize(DataFrame(rows, ['geo', 'time'])));
+        expect(serialized.provenance.extrapolated).toEqual([undefined, { pop: source }, undefined]);
+        const result = [...deserialize(serialized).values()];
+        expect(Symbol.for('interpolated') in result[0]).toBe(false);
+        expect(result[1][Symbol.for('extrapolated')]).toEqual({ pop: source });
+        expect(result[2][Symbol.for('interpolated')].pop).toEqual([source, source]);
+    });
+
+    it('reads getters of rows', () => {
+        const row = { geo: 'swe', time: 2000 };
+        Object.defineProperty(row, 'pop', { get: () => 10, enumerable: true });
+        expect(Object.getOwnPropertyDescriptor(serialize(DataFrame([row], ['geo', 'time'])).rows[0], 'pop').value).toBe(10);
+    });
+
+    it('serializes groups', () => {
+        const group = df.groupBy('time', ['geo']);
+        const result = deserialize(structuredClone(serialize(group)));
+        expect(result.type).toBe('Group');
+        expect(result.descendantKeys).toEqual(group.descendantKeys);
+        expect([...result.keys()]).toEqual([...group.keys()]);
+        const [member] = result.values();
+        expect(result.keyObject(member)).toEqual({ time: new Date(Date.UTC(2000)) });
+        expect([...member.values()].map(row => row.pop)).toEqual([10, 5]);
+    });
+
+});
@@ -0,0 +1,140 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { ColumnarStorage } from "../../../src/dataframe/storage/columnar";
+import { extent } from "../../../src/dataframe/info/extent";
+
+const rows = () => [
+    { geo: 'swe', time: 2000, pop: 5, region: 'europe' },
+    { geo: 'swe', time: 2001, pop: null, region: 'europe' },
+    { geo: 'swe', time: 2002, pop: 7, region: 'europe' },
+    { geo: 'ger', time: 2000, pop: 8, region: 'europe' }
+]
+
+const columnar = () => DataFrame(rows(), ['geo', 'time'], { storage: 'columnar' });
+
+describe('columnar storage', () => {
+
+    it('gets rows by key object and key string', () => {
+        const df = columnar();
+        const row = df.get({ geo: 'swe', time: 2000 });
+        expect({ ...row }).toEqual({ geo: 'swe', time: 2000, pop: 5, region: 'europe', [Symbol.for('key')]: row[Symbol.for('key')] });
+        expect(df.getByStr(row[Symbol.for('key')]).pop).toBe(5);
+        expect(df.has({ geo: 'ger', time: 2000 })).toBe(true);
+        expect(df.has({ geo: 'ger', time: 2001 })).toBe(false);
+    });
+
+    it('keeps null separate from missing values', () => {
+        const df = columnar();
+        const row = df.get({ geo: 'swe', time: 2001 });
+        expect(row.pop).toBeNull();
+        expect('pop' in row).toBe(true);
+        df.set({ geo: 'ukr', time: 2000 });
+        expect('pop' in df.get({ geo: 'ukr', time: 2000 })).toBe(false);
+    });
+
+    it('exposes fields, size, keys and values like map storage', () => {
+        const df = columnar();
+        const mapDf = DataFrame(rows(), ['geo', 'time']);
+        expect(df.fields.sort()).toEqual(mapDf.fields.sort());
+        expect(df.size).toBe(4);
+        expect([...df.keys()]).toEqual([...mapDf.keys()]);
+        expect(df.toJSON().map(row => ({ ...row }))).toEqual(mapDf.toJSON().map(row => ({ ...row })));
+    });
+
+    it('writes through row views', () => {
+        const df = columnar();
+        for (const row of df.values())
+            row.pop2 = row.pop * 2;
+        expect(df.get({ geo: 'ger', time: 2000 }).pop2).toBe(16);
+        expect(df.fields).toContain('pop2');
+    });
+
+    it('converts measure column to dictionary column on non-numeric values', () => {
+        const df = columnar();
+        df.set({ geo: 'nor', time: 2000, pop: 'unknown', region: 'europe' });
+        expect(df.get({ geo: 'nor', time: 2000 }).pop).toBe('unknown');
+        expect(df.get({ geo: 'swe', time: 2002 }).pop).toBe(7);
+    });
+
+    it('deletes rows and reuses their slot', () => {
+        const df = columnar();
+        const keyStr = df.get({ geo: 'ger', time: 2000 })[Symbol.for('key')];
+        expect(df.delete(keyStr)).toBe(true);
+        expect(df.hasByStr(keyStr)).toBe(false);
+        expect(df.size).toBe(3);
+        df.set({ geo: 'nor', time: 2000, pop: 1 });
+        expect(df.get({ geo: 'nor', time: 2000 })).toMatchObject({ pop: 1 });
+        expect(df.get({ geo: 'nor', time: 2000 }).region).toBeUndefined();
+    });
+
+    it('returns the same view for a row on repeated access', () => {
+        const df = columnar();
+        const row = df.get({ geo: 'swe', time: 2000 });
+        expect(df.get({ geo: 'swe', time: 2000 })).toBe(row);
+        expect([...df.values()][0]).toBe(row);
+    });
+
+    it('clears all rows and fields', () => {
+        const df = columnar();
+        df.clear();
+        expect(df.size).toBe(0);
+        expect([...df.values()]).toEqual([]);
+        expect(df.fields.sort()).toEqual(['geo', 'time']);
+        df.set({ geo: 'nor', time: 2000, pop: 'unknown' });
+        expect(df.size).toBe(1);
+        expect({ ...df.get({ geo: 'nor', time: 2000 }) }).toMatchObject({ geo: 'nor', time: 2000, pop: 'unknown' });
+    });
+
+    it('grows beyond its initial capacity', () => {
+        const data = Array.from({ length: 100 }, (_, i) => ({ time: i, pop: i * 2 }));
+        const storage = ColumnarStorage(data, ['time']);
+        expect(storage.size).toBe(100);
+        expect(storage.get({ time: 99 }).pop).toBe(198);
+    });
+
+    it('stores symbol properties like interpolation provenance', () => {
+        const df = columnar();
+        const row = df.get({ geo: 'swe', time: 2001 });
+        row[Symbol.for('interpolated')] = { pop: true };
+        expect(df.get({ geo: 'swe', time: 2001 })[Symbol.for('interpolated')]).toEqual({ pop: true });
+    });
+
+    it('rekeys rows when key changes', () => {
+        const df = DataFrame(rows(), ['geo', 'time'], { storage: 'columnar' });
+        df.key = ['time'];
+        expect(df.size).toBe(3);
+        expect(df.get({ time: 2000 }).geo).toBe('ger');
+    });
+
+});
+
+describe('transforms on columnar dataframes', () => {
+
+    it('filter', () => {
+        expect(columnar().filter({ pop: { $gt: 5 } }).toJSON().map(r => r.geo)).toEqual(['swe', 'ger']);
+    });
+
+    it('order', () => {
+        expect(columnar().order([{ pop: 'desc' }]).toJSON().map(r => r.pop)).toEqual([8, 7, 5, null]);
+    });
+
+    it('fullJoin', () => {
+        const df2 = DataFrame([{ geo: 'swe', time: 2000, lex: 80 }], ['geo', 'time'], { storage: 'columnar' });
+        const joined = columnar().fullJoin([df2]);
+        expect(joined.get({ geo: 'swe', time: 2000 })).toMatchObject({ pop: 5, lex: 80 });
+    });
+
+    it('interpolate', () => {
+        const df = DataFrame(rows().filter(r => r.geo == 'swe'), ['time'], { storage: 'columnar' }).interpolate();
+        expect(df.get({ time: 2001 }).pop).toBe(6);
+    });
+
+    it('extent', () => {
+        expect(extent(columnar(), 'pop')).toEqual([5, 8]);
+        expect(extent(columnar(), 'pop', ['geo'])).toEqual({ swe: [5, 7], ger: [8, 8] });
+    });
+
+    it('throws on unknown storage type', () => {
+        expect(() => DataFrame([], [], { storage: 'foo' })).toThrow();
+    });
+
+});
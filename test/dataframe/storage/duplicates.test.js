@@ -0,0 +1,64 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { MapStorage } from "../../../src/dataframe/storage/map";
+import { DUPLICATE_KEYS } from "../../../src/dataframe/storage/duplicates";
+
+const rows = () => [
+    { geo: 'swe', time: 2000, pop: 1, name: 'Sweden', lex: null },
+    { geo: 'nor', time: 2000, pop: 5, name: 'Norway', lex: 80 },
+    { geo: 'swe', time: 2000, pop: 2, name: null, lex: 81 },
+    { geo: 'swe', time: 2000, pop: 4, name: 'Sverige', lex: null }
+];
+const key = ['geo', 'time'];
+const swe = { geo: 'swe', time: 2000 };
+
+describe('duplicate keys', () => {
+
+    it('keeps last row by default and reports duplicates', () => {
+        const warn = console.warn, warnings = [];
+        console.warn = (...args) => warnings.push(args);
+        const df = DataFrame(rows(), key);
+        console.warn = warn;
+        expect(df.get(swe).pop).toBe(4);
+        expect(warnings.length).toBe(1);
+        expect(df.duplicates).toEqual(expect.objectContaining({ key, policy: 'last', count: 1 }));
+        expect(df.duplicates.duplicates[0].rows.map(row => row.pop)).toEqual([1, 2, 4]);
+    });
+
+    it('keeps first row', () => {
+        const df = DataFrame(rows(), key, { duplicates: 'first' });
+        expect(df.get(swe).pop).toBe(1);
+        expect(df.size).toBe(2);
+    });
+
+    it('merges non-null fields', () => {
+        const df = DataFrame(rows(), key, { duplicates: 'merge' });
+        expect(df.get(swe)).toEqual(expect.objectContaining({ pop: 4, name: 'Sverige', lex: 81 }));
+        expect(df.get(swe)[Symbol.for('key')]).toBe(df.keyFn(swe));
+    });
+
+    it('reduces numeric fields', () => {
+        const df = DataFrame(rows(), key, { duplicates: 'sum' });
+        expect(df.get(swe)).toEqual(expect.objectContaining({ geo: 'swe', time: 2000, pop: 7, name: 'Sverige', lex: 81 }));
+        const custom = DataFrame(rows(), key, { duplicates: (rows, field) => rows.length });
+        expect(custom.get(swe).pop).toBe(3);
+    });
+
+    it('throws with report', () => {
+        let error;
+        try { MapStorage(rows(), key, { duplicates: 'error' }) } catch (e) { error = e }
+        expect(error.name).toBe(DUPLICATE_KEYS);
+        expect(error.duplicates.count).toBe(1);
+        expect(error.duplicates.duplicates[0].keyStr).toBe(DataFrame([], key).keyFn(swe));
+    });
+
+    it('works for columnar storage', () => {
+        const df = DataFrame(rows(), key, { storage: 'columnar', duplicates: 'first' });
+        expect(df.get(swe).pop).toBe(1);
+        expect(df.get(swe).name).toBe('Sweden');
+    });
+
+    it('throws on unknown policy', () => {
+        expect(() => DataFrame(rows(), key, { duplicates: 'random' })).toThrow(/Unknown duplicates policy/);
+    });
+
+});
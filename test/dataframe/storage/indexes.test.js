@@ -0,0 +1,72 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const rows = () => [
+    { geo: 'swe', region: 'europe', pop: 10, time: new Date(Date.UTC(2000)) },
+    { geo: 'chn', region: 'asia', pop: 1400, time: new Date(Date.UTC(2001)) },
+    { geo: 'nor', region: 'europe', pop: 5, time: new Date(Date.UTC(2002)) },
+    { geo: 'ind', region: 'asia', pop: 1300, time: new Date(Date.UTC(2000)) },
+    { geo: 'atl', region: null, pop: null, time: null }
+];
+
+const keys = df => [...df.keys()];
+
+describe('secondary indexes', () => {
+
+    it('filters equal values through index, in dataframe order', () => {
+        const df = DataFrame(rows(), ['geo']).createIndex('region');
+        expect(keys(df.filter({ region: 'asia' }))).toEqual(['chn', 'ind']);
+        const getByStr = df.getByStr;
+        let tested = 0;
+        df.getByStr = keyStr => (tested++, getByStr(keyStr));
+        expect(keys(df.filter({ region: 'europe' }))).toEqual(['swe', 'nor']);
+        expect(tested).toBe(2);
+        expect(keys(df.filter({ region: { $in: ['asia', 'europe'] } }))).toEqual(['swe', 'chn', 'nor', 'ind']);
+        expect(keys(df.filter({ region: 'europe', pop: { $gt: 5 } }))).toEqual(['swe']);
+    });
+
+    it('filters ranges through index', () => {
+        const df = DataFrame(rows(), ['geo']).createIndex('pop').createIndex('time');
+        expect(keys(df.filter({ pop: { $gte: 10 } }))).toEqual(['swe', 'chn', 'ind']);
+        expect(keys(df.filter({ time: { $lt: new Date(Date.UTC(2001)) } }))).toEqual(['swe', 'ind', 'atl']);
+        expect(keys(df.filter({ pop: { $gt: 10, $lt: 1400 } }))).toEqual(['ind']);
+        expect(keys(df.filter({ $and: [{ pop: { $between: [5, 10] } }] }))).toEqual(['swe', 'nor']);
+        expect(keys(df.filter({ time: new Date(Date.UTC(2000)) }))).toEqual(['swe', 'ind']);
+    });
+
+    it('gives same results as scans', () => {
+        const indexed = DataFrame(rows(), ['geo']).createIndex('region').createIndex('pop');
+        const plain = DataFrame(rows(), ['geo']);
+        const specs = [{ region: null }, { pop: { $lte: 10 } }, { region: { $ne: 'asia' } }, { pop: { $lt: 'a' } }];
+        for (const spec of specs)
+            expect(keys(indexed.filter(spec))).toEqual(keys(plain.filter(spec)));
+    });
+
+    it('is invalidated by set and delete', () => {
+        const df = DataFrame(rows(), ['geo']).createIndex('region');
+        expect(df.unique('region')).toEqual(['europe', 'asia', null]);
+        df.set({ geo: 'bra', region: 'americas', pop: 200 });
+        df.delete('chn');
+        expect(keys(df.filter({ region: 'americas' }))).toEqual(['bra']);
+        expect(keys(df.filter({ region: 'asia' }))).toEqual(['ind']);
+        expect(df.unique('region')).toEqual(['europe', 'asia', null, 'americas']);
+        df.dropIndex('region');
+        expect(df.indexes.size).toBe(0);
+    });
+
+    it('is invalidated by transforms which write rows in place', () => {
+        const df = DataFrame(rows(), ['geo']).createIndex('size').createIndex('pop').createIndex('region');
+        expect(keys(df.filter({ size: 'large' }))).toEqual([]);
+        df.addColumn('size', row => row.pop > 100 ? 'large' : 'small');
+        expect(keys(df.filter({ size: 'large' }))).toEqual(['chn', 'ind']);
+        df.fillNull({ pop: 0 });
+        expect(keys(df.filter({ pop: { $lt: 10 } }))).toEqual(['nor', 'atl']);
+        df.copyColumn('size', 'region');
+        expect(keys(df.filter({ region: 'small' }))).toEqual(['swe', 'nor', 'atl']);
+
+        const gaps = DataFrame([{ geo: 'swe', pop: 1 }, { geo: 'nor', pop: null }, { geo: 'fin', pop: 3 }], ['geo']).createIndex('pop');
+        expect(keys(gaps.filter({ pop: 2 }))).toEqual([]);
+        gaps.interpolate(['pop']);
+        expect(keys(gaps.filter({ pop: 2 }))).toEqual(['nor']);
+    });
+
+});
@@ -0,0 +1,81 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { unique } from "../../../src/dataframe/info/unique";
+
+const lookups = () => new Map([
+    ['name', new Map([
+        ['geo', new Map([['swe', 'Sweden'], ['ger', 'Germany']])],
+        ['gender', new Map([['male', 'Male'], ['female', 'Female']])]
+    ])]
+]);
+
+const labels = () => DataFrame.fromLookups(lookups(), ['geo', 'gender']);
+
+describe('lookup dataframe', () => {
+
+    it('gets row for any key, falling back to key values', () => {
+        const df = labels();
+        expect(df.get({ geo: 'swe', gender: 'male' }).name).toEqual({ geo: 'Sweden', gender: 'Male' });
+        expect(df.get({ geo: 'nor', gender: 'male' }).name).toEqual({ geo: 'nor', gender: 'Male' });
+    });
+
+    it('has same rows as it enumerates', () => {
+        const df = labels();
+        expect(df.has({ geo: 'swe', gender: 'male' })).toBe(true);
+        expect(df.has({ geo: 'nor', gender: 'male' })).toBe(false);
+        expect(df.has({ geo: 'swe' })).toBe(false);
+        for (const keyStr of df.keys())
+            expect(df.has(df.getByStr(keyStr))).toBe(true);
+        df.delete(df.keyFn({ geo: 'swe', gender: 'male' }));
+        expect(df.has({ geo: 'swe', gender: 'male' })).toBe(false);
+        df.set({ geo: 'nor', gender: 'male', name: { geo: 'Norway', gender: 'Male' } });
+        expect(df.has({ geo: 'nor', gender: 'male' })).toBe(true);
+    });
+
+    it('has fields, key and size', () => {
+        const df = labels();
+        expect(df.fields).toEqual(['gender', 'geo', 'name']);
+        expect(df.key).toEqual(['gender', 'geo']);
+        expect(df.size).toBe(4);
+    });
+
+    it('enumerates cartesian product of known dimension values', () => {
+        const rows = labels().toJSON();
+        expect(rows.map(row => row.name.geo + ' ' + row.name.gender)).toEqual([
+            'Sweden Male', 'Germany Male', 'Sweden Female', 'Germany Female'
+        ]);
+        expect(rows[0]).toMatchObject({ geo: 'swe', gender: 'male' });
+        const df = labels();
+        for (const [keyStr, row] of df) {
+            expect(df.getByStr(keyStr)).toEqual(row);
+            expect(row[Symbol.for('key')]).toBe(keyStr);
+        }
+    });
+
+    it('sets and deletes rows', () => {
+        const df = labels();
+        const sweMale = df.get({ geo: 'swe', gender: 'male' })[Symbol.for('key')];
+        expect(df.delete(sweMale)).toBe(true);
+        expect(df.hasByStr(sweMale)).toBe(false);
+        expect(df.size).toBe(3);
+        df.set({ geo: 'nor', gender: 'male', name: { geo: 'Norway', gender: 'Male' } });
+        expect(df.size).toBe(4);
+        expect(df.get({ geo: 'nor', gender: 'male' }).name.geo).toBe('Norway');
+    });
+
+    it('can be filtered, ordered and copied', () => {
+        const df = labels();
+        const filtered = df.filter({ geo: 'ger' });
+        expect(filtered.size).toBe(2);
+        expect(filtered.type).toBe('DataFrame');
+        const ordered = df.order(['geo', 'gender']);
+        expect([...ordered.values()].map(row => row.name.geo + ' ' + row.name.gender)).toEqual([
+            'Germany Female', 'Germany Male', 'Sweden Female', 'Sweden Male'
+        ]);
+        expect(df.copy().size).toBe(4);
+    });
+
+    it('rows can be used to calculate domains', () => {
+        expect(unique(labels().rows(), 'geo')).toEqual(['swe', 'ger']);
+    });
+
+});
@@ -0,0 +1,65 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { aggregate } from "../../../src/dataframe/transforms/aggregate";
+
+const df = DataFrame([
+    { geo: 'swe', region: 'europe', time: 2000, pop: 10, lex: 80, gdp: 4 },
+    { geo: 'nor', region: 'europe', time: 2000, pop: 30, lex: 60, gdp: 6 },
+    { geo: 'fin', region: 'europe', time: 2000, pop: 20, lex: null, gdp: 5 },
+    { geo: 'ind', region: 'asia', time: 2000, pop: 100, lex: 70, gdp: 1 },
+    { geo: 'swe', region: 'europe', time: 2001, pop: 12, lex: 81, gdp: 5 }
+], ['geo', 'time']);
+
+describe('dataframe aggregate', () => {
+
+    it('sums, counts and takes min/max per group', () => {
+        const result = aggregate(df, { by: ['region', 'time'], measures: {
+            pop: 'sum',
+            lex: 'count',
+            gdp: 'max',
+            gdp_min: { min: { field: 'gdp' } }
+        } });
+        expect(result.key).toEqual(['region', 'time']);
+        expect(result.size).toBe(3);
+        expect(result.get({ region: 'europe', time: 2000 })).toEqual(expect.objectContaining({
+            region: 'europe', time: 2000, pop: 60, lex: 2, gdp: 6, gdp_min: 4
+        }));
+    });
+
+    it('calculates mean and weighted mean, ignoring nulls', () => {
+        const result = df.aggregate({ by: ['region', 'time'], measures: {
+            lex: { mean: { weight: 'pop' } },
+            lex_mean: { mean: { field: 'lex' } }
+        } });
+        const europe = result.get({ region: 'europe', time: 2000 });
+        expect(europe.lex).toBe((80 * 10 + 60 * 30) / 40);
+        expect(europe.lex_mean).toBe(70);
+    });
+
+    it('calculates median, quantiles, first and last', () => {
+        const result = df.aggregate({ by: 'time', measures: {
+            gdp: 'median',
+            pop: { quantile: 0.25 },
+            lex: 'first',
+            geo: 'last'
+        } });
+        expect(result.get({ time: 2000 })).toEqual(expect.objectContaining({ gdp: 4.5, pop: 17.5, lex: 80, geo: 'ind' }));
+    });
+
+    it('aggregates to one row without `by`', () => {
+        const result = df.aggregate({ measures: { pop: 'sum' } });
+        expect(result.size).toBe(1);
+        expect([...result.values()][0].pop).toBe(172);
+    });
+
+    it('aggregates each member of a group', () => {
+        const result = df.groupBy('time', ['geo']).aggregate({ by: ['region'], measures: { pop: 'sum' } });
+        expect(result.type).toBe('Group');
+        expect(result.get('2000').get({ region: 'asia' }).pop).toBe(100);
+        expect(result.get('2001').get({ region: 'europe' }).pop).toBe(12);
+    });
+
+    it('throws on unknown reducer', () => {
+        expect(() => df.aggregate({ measures: { pop: 'foo' } })).toThrow(/Unknown aggregation reducer/);
+    });
+
+});
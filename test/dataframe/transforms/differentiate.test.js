@@ -0,0 +1,56 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const df = DataFrame([
+    { geo: 'swe', time: 2002, pop: 121 },
+    { geo: 'nor', time: 2000, pop: 50 },
+    { geo: 'swe', time: 2000, pop: 100 },
+    { geo: 'nor', time: 2001, pop: 40 },
+    { geo: 'swe', time: 2001, pop: 110 },
+    { geo: 'nor', time: 2002, pop: null }
+], ['geo', 'time']);
+
+const values = (df, field, geo) => [...df.values()]
+    .filter(row => row.geo == geo)
+    .sort((a, b) => a.time - b.time)
+    .map(row => row[field]);
+
+describe('differentiate', () => {
+
+    it('differentiates per marker along order field', () => {
+        const result = df.differentiate('pop');
+        expect(values(result, 'pop', 'swe')).toEqual([0, 10, 11]);
+        expect(values(result, 'pop', 'nor')).toEqual([0, -10, null]);
+        expect(df.get({ geo: 'swe', time: 2001 }).pop).toBe(110);
+    });
+
+    it('calculates percent change, log difference and cagr', () => {
+        expect(values(df.differentiate('pop', { mode: 'percent' }), 'pop', 'nor')[1]).toBeCloseTo(-20);
+        expect(values(df.differentiate('pop', { mode: 'logDiff' }), 'pop', 'swe')[2]).toBeCloseTo(Math.log(1.1));
+        const withGap = df.filter({ $nor: [{ geo: 'swe', time: 2001 }] }).differentiate('pop', { mode: 'cagr' });
+        expect(values(withGap, 'pop', 'swe')[0]).toBeNull();
+        expect(values(df.differentiate('pop', { mode: 'percent' }), 'pop', 'swe')[0]).toBeNull();
+        expect(values(withGap, 'pop', 'swe')[1]).toBeCloseTo(0.1);
+    });
+
+    it('keeps first rows in absolute mode, like before modes existed', () => {
+        const result = df.differentiate('pop');
+        expect(result.filterNullish(['pop']).size).toBe(5);
+        expect(df.differentiate('pop', { mode: 'logDiff' }).filterNullish(['pop']).size).toBe(3);
+    });
+
+    it('throws on unknown mode', () => {
+        expect(() => df.differentiate('pop', { mode: 'ratio' })).toThrow(/Unknown differentiation mode/);
+    });
+
+    it('differentiates over members of a frame group', () => {
+        const years = [2000, 2001, 2002];
+        const frames = df.groupBy('time', ['geo']).reindexGroup(years);
+        const withGap = df.filter({ $nor: [{ geo: 'swe', time: 2001 }] }).groupBy('time', ['geo']).reindexGroup(years);
+        const result = frames.differentiateOverMembers('pop', { mode: 'absolute' });
+        expect([...result.values()].map(frame => frame.get({ geo: 'swe' }).pop)).toEqual([0, 10, 11]);
+        const gapResult = withGap.differentiateOverMembers('pop', { mode: 'cagr' });
+        expect(gapResult.get('2002').get({ geo: 'swe' }).pop).toBeCloseTo(0.1);
+        expect(gapResult.get('2001').has({ geo: 'swe' })).toBe(false);
+    });
+
+});
@@ -0,0 +1,56 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const years = [2000, 2001, 2002, 2003, 2004, 2005];
+
+function frameMap() {
+    return DataFrame([
+        { geo: 'swe', time: 2001, pop: 100, lex: 70 },
+        { geo: 'swe', time: 2002, pop: 200, lex: 71 },
+        { geo: 'swe', time: 2003, pop: 400, lex: 72 }
+    ], ['geo', 'time'])
+        .groupBy('time', ['geo'])
+        .reindexGroup(years);
+}
+
+const get = (group, time) => group.get(String(time)).get({ geo: 'swe' });
+
+describe('extrapolate over members', () => {
+
+    it('copies nearest value by default', () => {
+        const result = frameMap().extrapolateOverMembers({ fields: ['pop', 'lex'], sizeLimit: 1 });
+        expect(get(result, 2000).pop).toBe(100);
+        expect(get(result, 2004).pop).toBe(400);
+        expect(get(result, 2005)).toBeUndefined();
+    });
+
+    it('extrapolates linear trend', () => {
+        const result = frameMap().extrapolateOverMembers({ fields: ['lex'], method: 'linear' });
+        expect(get(result, 2000).lex).toBeCloseTo(69);
+        expect(get(result, 2005).lex).toBeCloseTo(74);
+    });
+
+    it('extrapolates growth rate per field method', () => {
+        const result = frameMap().extrapolateOverMembers({ fields: ['pop', 'lex'], method: { pop: 'growthRate' } });
+        expect(get(result, 2000).pop).toBeCloseTo(50);
+        expect(get(result, 2005).pop).toBeCloseTo(1600);
+        expect(get(result, 2005).lex).toBe(72);
+    });
+
+    it('uses only the last points for trends', () => {
+        const result = frameMap().extrapolateOverMembers({ fields: ['pop'], method: 'linear', points: 2 });
+        expect(get(result, 2004).pop).toBeCloseTo(600);
+    });
+
+    it('keeps provenance of extrapolated values', () => {
+        const group = frameMap();
+        const result = group.extrapolateOverMembers({ fields: ['pop'], method: 'linear' });
+        const row = get(result, 2004);
+        expect(row[Symbol.for('extrapolated')].pop).toBe(get(result, 2003));
+        expect(Symbol.for('extrapolated') in get(result, 2003)).toBe(false);
+    });
+
+    it('throws on unknown method', () => {
+        expect(() => frameMap().extrapolateOverMembers({ fields: ['pop'], method: 'cubic' })).toThrow(/Unknown extrapolation method/);
+    });
+
+});
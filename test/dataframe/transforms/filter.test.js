@@ -81,4 +81,54 @@ describe('dataframe filter', () => {
             { pop: 7 }
         ]})).toEqual(df2)
     });
+
+    const countries = DataFrame([
+        { country: 'swe', name: 'Sweden', 'is--country': true, pop: 10, tags: ['eu', 'nordic'], time: new Date(Date.UTC(2000)) },
+        { country: 'nor', name: 'Norway', 'is--country': true, pop: 5, tags: ['nordic'], time: new Date(Date.UTC(2001)) },
+        { country: 'eu', name: 'European Union', 'is--country': false, tags: [] }
+    ], ['country']);
+    const keys = df => [...df.keys()];
+
+    it('filter spec on fields with dashes', () => {
+        expect(keys(filter(countries, { 'is--country': true }))).toEqual(['swe', 'nor']);
+    });
+
+    it('filter spec does not evaluate field names or values as code', () => {
+        expect(keys(filter(countries, { 'country) || (true': 'swe' }))).toEqual([]);
+        expect(keys(filter(countries, { name: "Sweden' || true || '" }))).toEqual([]);
+    });
+
+    it('filter spec on $regex, case-insensitive', () => {
+        expect(keys(filter(countries, { name: { $regex: '^s' } }))).toEqual([]);
+        expect(keys(filter(countries, { name: { $regex: '^s', $options: 'i' } }))).toEqual(['swe']);
+        expect(keys(filter(countries, { name: { $regex: /union$/i } }))).toEqual(['eu']);
+    });
+
+    it('filter spec on case-insensitive $eq and $in', () => {
+        expect(keys(filter(countries, { name: { $eq: 'SWEDEN', $options: 'i' } }))).toEqual(['swe']);
+        expect(keys(filter(countries, { name: { $in: ['norway', 'sweden'], $options: 'i' } }))).toEqual(['swe', 'nor']);
+    });
+
+    it('filter spec on $exists', () => {
+        expect(keys(filter(countries, { pop: { $exists: true } }))).toEqual(['swe', 'nor']);
+        expect(keys(filter(countries, { pop: { $exists: false } }))).toEqual(['eu']);
+    });
+
+    it('filter spec on $between and multiple operators', () => {
+        expect(keys(filter(countries, { pop: { $between: [5, 9] } }))).toEqual(['nor']);
+        expect(keys(filter(countries, { pop: { $gt: 4, $lt: 10 } }))).toEqual(['nor']);
+    });
+
+    it('filter spec on $all and $size', () => {
+        expect(keys(filter(countries, { tags: { $all: ['nordic', 'eu'] } }))).toEqual(['swe']);
+        expect(keys(filter(countries, { tags: { $size: 0 } }))).toEqual(['eu']);
+    });
+
+    it('filter spec on dates', () => {
+        expect(keys(filter(countries, { time: new Date(Date.UTC(2001)) }))).toEqual(['nor']);
+    });
+
+    it('throws on unknown operator', () => {
+        expect(() => filter(countries, { pop: { $near: 5 } })).toThrow(/Unknown filter operator/);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { interpolators } from "../../../src/dataframe/transforms/interpolators";
+
+const rows = () => [
+    { time: 2000, pop: 100, region: 'asia', x: 0 },
+    { time: 2001, pop: null, region: null, x: null },
+    { time: 2002, pop: 400, region: 'europe', x: 2 },
+    { time: 2003, pop: null, region: null, x: null },
+    { time: 2004, pop: 1600, region: 'europe', x: 4 }
+];
+
+describe('interpolation methods', () => {
+
+    it('interpolates linear by default', () => {
+        const df = DataFrame(rows(), ['time']).interpolate();
+        expect(df.get({ time: 2001 }).pop).toBe(250);
+        expect(df.get({ time: 2003 }).x).toBe(3);
+    });
+
+    it('interpolates per field method', () => {
+        const df = DataFrame(rows(), ['time']).interpolate(['pop', 'region'], { pop: 'log', region: 'step' });
+        expect(df.get({ time: 2001 }).pop).toBeCloseTo(200);
+        expect(df.get({ time: 2003 }).pop).toBeCloseTo(800);
+        expect(df.get({ time: 2001 }).region).toBe('asia');
+        expect(df.get({ time: 2001 }).x).toBeNull();
+    });
+
+    it('takes custom interpolator functions', () => {
+        const df = DataFrame(rows(), ['time']).interpolate(['x'], { x: (start, end) => mu => start });
+        expect(df.get({ time: 2001 }).x).toBe(0);
+    });
+
+    it('throws on unknown method', () => {
+        expect(() => DataFrame(rows(), ['time']).interpolate(['x'], { x: 'cubic' })).toThrow(/Unknown interpolation method/);
+    });
+
+    it('monotone does not overshoot around a plateau', () => {
+        const int = interpolators.monotone(10, 10, { before: { value: 0, distance: 1 }, after: { value: 20, distance: 1 } });
+        expect(int(0.5)).toBe(10);
+        const rising = interpolators.monotone(1, 2, { before: { value: 0, distance: 1 }, after: { value: 3, distance: 1 } });
+        expect(rising(0.5)).toBeCloseTo(1.5);
+        expect(interpolators.monotone(1, 2)(0.25)).toBeCloseTo(1.25);
+    });
+
+    it('uses methods between frames', () => {
+        const group = DataFrame(rows().filter(row => row.pop != null).map(row => Object.assign(row, { geo: 'swe' })), ['geo', 'time'])
+            .groupBy('time', ['geo']);
+        const [from, to] = [group.get('2000'), group.get('2002')];
+        const between = from.interpolateTowards(to, 0.5, { methods: { pop: 'log', region: 'step' } });
+        expect(between.get({ geo: 'swe' }).pop).toBeCloseTo(200);
+        expect(between.get({ geo: 'swe' }).region).toBe('asia');
+        expect(between.get({ geo: 'swe' }).x).toBe(1);
+    });
+
+    it('fills gaps over group members with methods', () => {
+        const data = rows().map(row => Object.assign(row, { geo: 'swe' }));
+        const group = DataFrame(data.filter(row => row.pop != null), ['geo', 'time'])
+            .groupBy('time', ['geo'])
+            .reindexGroup(data.map(row => row.time));
+        group.interpolateOverMembers({ fields: ['pop', 'region'], methods: { pop: 'log', region: 'step' } });
+        expect(group.get('2001').get({ geo: 'swe' }).pop).toBeCloseTo(200);
+        expect(group.get('2003').get({ geo: 'swe' }).region).toBe('europe');
+    });
+
+});
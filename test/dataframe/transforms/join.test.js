@@ -0,0 +1,64 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const countries = DataFrame([
+    { country: 'swe', world_4region: 'europe', pop: 10 },
+    { country: 'chn', world_4region: 'asia', pop: 1400 },
+    { country: 'atl', world_4region: 'atlantis', pop: 1 }
+], ['country']);
+
+const regions = DataFrame([
+    { region: 'europe', name: 'Europe' },
+    { region: 'asia', name: 'Asia' }
+], ['region']);
+
+const gdp = DataFrame([
+    { country: 'swe', gdp: 50 },
+    { country: 'atl', gdp: 3 }
+], ['country']);
+
+describe('dataframe joins', () => {
+
+    it('left joins on non-key fields', () => {
+        const result = countries.leftJoin([{ dataFrame: regions, projection: { name: ['region_name'] }, on: { world_4region: 'region' } }]);
+        expect(result.size).toBe(3);
+        expect(result.get({ country: 'swe' }).region_name).toBe('Europe');
+        expect(result.get({ country: 'chn' }).region_name).toBe('Asia');
+    });
+
+    it('left join tolerates missing right rows', () => {
+        const result = countries.leftJoin([gdp]);
+        expect(result.size).toBe(3);
+        expect(result.get({ country: 'chn' })).toHaveProperty('gdp', undefined);
+        expect(result.get({ country: 'swe' }).gdp).toBe(50);
+    });
+
+    it('inner joins', () => {
+        const result = countries.innerJoin([
+            { dataFrame: regions, projection: { name: ['region_name'] }, on: { world_4region: 'region' } },
+            gdp
+        ]);
+        expect([...result.keys()]).toEqual(['swe']);
+        expect(result.get({ country: 'swe' })).toEqual(expect.objectContaining({ region_name: 'Europe', gdp: 50, pop: 10 }));
+        expect(countries.get({ country: 'swe' }).region_name).toBeUndefined();
+    });
+
+    it('semi and anti joins', () => {
+        const params = [{ dataFrame: regions, on: { world_4region: 'region' } }];
+        const semi = countries.semiJoin(params);
+        const anti = countries.antiJoin(params);
+        expect([...semi.keys()]).toEqual(['swe', 'chn']);
+        expect(semi.get({ country: 'swe' }).name).toBeUndefined();
+        expect([...anti.keys()]).toEqual(['atl']);
+    });
+
+    it('joins on non-key right fields using first matching row', () => {
+        const capitals = DataFrame([
+            { city: 'sto', in_country: 'swe', rank: 1 },
+            { city: 'got', in_country: 'swe', rank: 2 }
+        ], ['city']);
+        const result = countries.innerJoin([{ dataFrame: capitals, projection: ['city'], on: { country: 'in_country' } }]);
+        expect(result.size).toBe(1);
+        expect(result.get({ country: 'swe' }).city).toBe('sto');
+    });
+
+});
@@ -0,0 +1,65 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const df = DataFrame([
+    { geo: 'swe', time: 2000, pop: 10, gdp: 400, region: 'europe' },
+    { geo: 'nor', time: 2000, pop: 5, gdp: 300, region: 'europe' },
+    { geo: 'chn', time: 2000, pop: 85, gdp: 1700, region: 'asia' },
+    { geo: 'swe', time: 2001, pop: 12, gdp: 480, region: 'europe' },
+    { geo: 'nor', time: 2001, pop: 0, gdp: 330, region: 'europe' },
+    { geo: 'chn', time: 2001, pop: null, gdp: 1870, region: 'asia' }
+], ['geo', 'time']);
+
+const value = (df, field, geo, time) => df.get({ geo, time })[field];
+
+describe('normalize', () => {
+
+    it('calculates share of total per group', () => {
+        const result = df.shareOfTotal('pop', { groupBy: ['time'] });
+        expect(value(result, 'pop', 'swe', 2000)).toBe(10);
+        expect(value(result, 'pop', 'swe', 2001)).toBe(100);
+        expect(value(result, 'pop', 'chn', 2001)).toBeNull();
+        expect(value(df, 'pop', 'swe', 2000)).toBe(10);
+
+        const perRegion = df.shareOfTotal('gdp', { groupBy: ['time', 'region'], scale: 1 });
+        expect(value(perRegion, 'gdp', 'nor', 2000)).toBeCloseTo(300 / 700);
+        expect(value(perRegion, 'gdp', 'chn', 2000)).toBe(1);
+    });
+
+    it('indexes to base per partition', () => {
+        const result = df.indexTo('gdp', { base: 2000 });
+        expect(value(result, 'gdp', 'swe', 2000)).toBe(100);
+        expect(value(result, 'gdp', 'swe', 2001)).toBe(120);
+        expect(value(result, 'gdp', 'chn', 2001)).toBeCloseTo(110);
+        expect(value(df.indexTo('gdp', { base: 2001, scale: 1 }), 'gdp', 'nor', 2000)).toBeCloseTo(300 / 330);
+        expect(value(df.indexTo('pop'), 'pop', 'nor', 2001)).toBe(0);
+        expect(value(df.indexTo('pop', { base: 2001 }), 'pop', 'nor', 2000)).toBeNull();
+        expect(value(df.indexTo('pop', { base: 1999 }), 'pop', 'swe', 2000)).toBeNull();
+    });
+
+    it('indexes to dates', () => {
+        const dated = DataFrame([
+            { geo: 'swe', time: new Date(Date.UTC(2000)), pop: 10 },
+            { geo: 'swe', time: new Date(Date.UTC(2001)), pop: 15 }
+        ], ['geo', 'time']);
+        expect(value(dated.indexTo('pop', { base: new Date(Date.UTC(2001)) }), 'pop', 'swe', new Date(Date.UTC(2000)))).toBeCloseTo(200 / 3);
+        expect(value(dated.indexTo('pop'), 'pop', 'swe', new Date(Date.UTC(2001)))).toBe(150);
+    });
+
+    it('indexes to base member of group', () => {
+        const frames = df.groupBy('time', ['geo']);
+        const result = frames.indexToMember('gdp', { base: { time: 2001 } });
+        expect(result.get('2000').get({ geo: 'swe' }).gdp).toBeCloseTo(400 / 480 * 100);
+        expect(result.get('2001').get({ geo: 'chn' }).gdp).toBe(100);
+        expect(frames.indexToMember('gdp').get('2001').get({ geo: 'nor' }).gdp).toBeCloseTo(110);
+        expect(frames.shareOfTotal('pop').get('2000').get({ geo: 'chn' }).pop).toBe(85);
+    });
+
+    it('divides by another field', () => {
+        const result = df.divideBy('gdp', 'pop', { scale: 1000 });
+        expect(value(result, 'gdp', 'swe', 2000)).toBe(40000);
+        expect(value(result, 'gdp', 'nor', 2001)).toBeNull();
+        expect(value(result, 'gdp', 'chn', 2001)).toBeNull();
+        expect(value(result, 'pop', 'swe', 2000)).toBe(10);
+    });
+
+});
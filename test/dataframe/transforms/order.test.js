@@ -0,0 +1,45 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const df = DataFrame([
+    { geo: 'swe', name: 'Sverige', region: 'europe', pop: 10 },
+    { geo: 'ala', name: 'Åland', region: 'europe', pop: null },
+    { geo: 'chn', name: 'Zhongguo', region: 'asia', pop: 1400 },
+    { geo: 'ago', name: 'Angola', region: 'africa', pop: 30 },
+    { geo: 'atl', name: 'Atlantis', region: undefined, pop: 1 }
+], ['geo']);
+
+const geos = df => [...df.values()].map(row => row.geo);
+
+describe('dataframe order', () => {
+
+    it('orders ascending and descending', () => {
+        expect(geos(df.order(['pop']))).toEqual(['atl', 'swe', 'ago', 'chn', 'ala']);
+        expect(geos(df.order([{ pop: 'desc' }]))).toEqual(['chn', 'ago', 'swe', 'atl', 'ala']);
+        expect(geos(df.order([{ pop: 'descending' }]))).toEqual(['chn', 'ago', 'swe', 'atl', 'ala']);
+        expect(geos(df.order([{ pop: 'ascending' }]))).toEqual(['atl', 'swe', 'ago', 'chn', 'ala']);
+    });
+
+    it('places nulls', () => {
+        expect(geos(df.order([{ concept: 'pop', direction: 'desc', nulls: 'first' }]))[0]).toBe('ala');
+        expect(geos(df.order([{ concept: 'pop', direction: 'desc', nulls: 'last' }]))[4]).toBe('ala');
+    });
+
+    it('collates strings by locale', () => {
+        // in swedish, å comes after z
+        expect(geos(df.order([{ concept: 'name', collation: 'sv' }]))).toEqual(['ago', 'atl', 'swe', 'chn', 'ala']);
+        expect(geos(df.order([{ concept: 'name', collation: 'en' }]))).toEqual(['ala', 'ago', 'atl', 'swe', 'chn']);
+    });
+
+    it('follows explicit value order with unlisted values after', () => {
+        const ordered = df.order([
+            { concept: 'region', values: ['europe', 'asia'] },
+            { concept: 'pop', direction: 'desc' }
+        ]);
+        expect(geos(ordered)).toEqual(['swe', 'ala', 'chn', 'ago', 'atl']);
+    });
+
+    it('throws on unknown direction', () => {
+        expect(() => df.order([{ concept: 'pop', direction: 'up' }])).toThrow(/Unknown order direction/);
+    });
+
+});
@@ -0,0 +1,62 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { inclusiveRange } from "../../../src/core/utils";
+
+const year = y => new Date(Date.UTC(y, 0, 1));
+const rows = () => [
+    { geo: 'swe', gender: 'female', time: year(2000), pop: 100 },
+    { geo: 'swe', gender: 'female', time: year(2002), pop: 300 },
+    { geo: 'swe', gender: 'male', time: year(2001), pop: 90 },
+    { geo: 'nor', gender: 'male', time: year(2000), pop: 50 }
+];
+
+describe('complete key space', () => {
+
+    it('fills cartesian product of key dimensions with null rows', () => {
+        const df = DataFrame(rows(), ['geo', 'gender', 'time']);
+        const time = inclusiveRange(year(2000), year(2002), { concept: 'time', concept_type: 'time' });
+        const result = df.complete({ geo: ['swe', 'nor'], gender: ['female', 'male'], time });
+        expect(result.size).toBe(12);
+        expect(result.key).toEqual(df.key);
+        expect(result.get({ geo: 'swe', gender: 'female', time: year(2000) })).toBe(df.get({ geo: 'swe', gender: 'female', time: year(2000) }));
+        expect(result.get({ geo: 'nor', gender: 'female', time: year(2001) })).toMatchObject({ geo: 'nor', gender: 'female', time: year(2001), pop: null });
+        expect([...result.values()].slice(0, 3).map(row => row.time.getUTCFullYear())).toEqual([2000, 2001, 2002]);
+    });
+
+    it('uses values in dataframe for dimensions without index and drops rows outside index', () => {
+        const df = DataFrame(rows(), ['geo', 'gender', 'time']);
+        const result = df.complete({ geo: ['swe'] });
+        expect(result.size).toBe(1 * 2 * 3);
+        expect(result.has({ geo: 'nor', gender: 'male', time: year(2000) })).toBe(false);
+        expect(result.get({ geo: 'swe', gender: 'male', time: year(2002) }).pop).toBeNull();
+    });
+
+    it('allows gap interpolation per marker', () => {
+        const df = DataFrame(rows(), ['geo', 'gender', 'time'])
+            .complete({ time: [year(2000), year(2001), year(2002)] });
+        const markers = df.groupBy(['geo', 'gender'], ['time']).interpolate(['pop']);
+        expect(markers.get(markers.keyFn({ geo: 'swe', gender: 'female' })).get({ time: year(2001) }).pop).toBe(200);
+    });
+
+    it('reindexes multi-dimension keys to key objects or cartesian product', () => {
+        const df = DataFrame(rows(), ['geo', 'gender', 'time']);
+        const result = df.reindex([{ geo: 'nor', gender: 'male', time: year(2000) }, { geo: 'nor', gender: 'female', time: year(2000) }]);
+        expect([...result.values()].map(row => [row.gender, row.pop])).toEqual([['male', 50], ['female', null]]);
+        expect(df.reindex({ geo: ['swe'] }).size).toBe(1 * 2 * 3);
+        expect(() => df.reindex([year(2000)])).toThrow(/multiple dimensions/);
+    });
+
+    it('reindexes groups with multi-dimension keys', () => {
+        const markers = DataFrame(rows(), ['geo', 'gender', 'time']).groupBy(['geo', 'gender'], ['time']);
+        const result = markers.reindexGroup({ gender: ['female', 'male'] });
+        expect([...result.values()].map(member => member.size)).toEqual([2, 1, 0, 1]);
+        expect(result.keyObject([...result.values()][2])).toEqual({ geo: 'nor', gender: 'female' });
+        const single = markers.reindexGroup([{ geo: 'nor', gender: 'male' }]);
+        expect(single.size).toBe(1);
+    });
+
+    it('throws on non-key dimensions', () => {
+        const df = DataFrame(rows(), ['geo', 'gender', 'time']);
+        expect(() => df.complete({ pop: [1] })).toThrow(/not a key dimension/);
+    });
+
+});
@@ -0,0 +1,60 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+import { pivot } from "../../../src/dataframe/transforms/pivot";
+import { melt } from "../../../src/dataframe/transforms/melt";
+
+const long = DataFrame([
+    { geo: 'swe', time: 2000, indicator: 'pop', value: 9 },
+    { geo: 'swe', time: 2000, indicator: 'lex', value: 80 },
+    { geo: 'swe', time: 2001, indicator: 'pop', value: 10 },
+    { geo: 'nor', time: 2000, indicator: 'lex', value: 81 }
+], ['geo', 'time', 'indicator']);
+
+const wide = DataFrame([
+    { geo: 'swe', name: 'Sweden', 1990: 8, 1991: 9 },
+    { geo: 'nor', name: 'Norway', 1990: 4, 1991: null }
+], ['geo']);
+
+describe('dataframe pivot', () => {
+
+    it('pivots long to wide, keyed by remaining key', () => {
+        const result = pivot(long, { columns: 'indicator', values: 'value' });
+        expect(result.key).toEqual(['geo', 'time']);
+        expect(result.size).toBe(3);
+        expect(result.get({ geo: 'swe', time: 2000 })).toEqual(expect.objectContaining({ pop: 9, lex: 80 }));
+        expect(result.get({ geo: 'nor', time: 2000 })).toEqual(expect.objectContaining({ pop: null, lex: 81 }));
+    });
+
+    it('pivots to given index', () => {
+        const result = long.pivot({ index: ['time', 'geo'], columns: 'indicator', values: 'value' });
+        expect(result.key).toEqual(['geo', 'time']);
+        expect(result.fields).toEqual(['geo', 'time', 'pop', 'lex']);
+    });
+
+});
+
+describe('dataframe melt', () => {
+
+    it('melts wide to long with key extended by variable field', () => {
+        const result = melt(wide, { idVars: ['geo', 'name'], valueVars: ['1990', '1991'], varName: 'time', valueName: 'pop' });
+        expect(result.key).toEqual(['geo', 'time']);
+        expect(result.size).toBe(4);
+        expect(result.get({ geo: 'nor', time: '1991' })).toEqual(expect.objectContaining({ name: 'Norway', pop: null }));
+    });
+
+    it('melts all non-key fields by default', () => {
+        const result = wide.melt();
+        expect(result.key).toEqual(['geo', 'variable']);
+        expect(result.size).toBe(6);
+        expect(result.get({ geo: 'swe', variable: 'name' }).value).toBe('Sweden');
+    });
+
+    it('is reversed by pivot', () => {
+        const molten = wide.melt({ valueVars: ['1990', '1991'], varName: 'time', valueName: 'pop' });
+        const result = molten.pivot({ columns: 'time', values: 'pop' });
+        expect(result.toJSON()).toEqual([
+            { geo: 'swe', 1990: 8, 1991: 9, [Symbol.for('key')]: 'swe' },
+            { geo: 'nor', 1990: 4, 1991: null, [Symbol.for('key')]: 'nor' }
+        ]);
+    });
+
+});
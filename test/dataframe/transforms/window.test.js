@@ -0,0 +1,77 @@
+import { DataFrame } from "../../../src/dataframe/dataFrame";
+
+const df = DataFrame([
+    { geo: 'swe', time: 2003, gdp: 4, pop: 13 },
+    { geo: 'swe', time: 2000, gdp: 1, pop: 10 },
+    { geo: 'swe', time: 2001, gdp: 2, pop: 11 },
+    { geo: 'swe', time: 2002, gdp: null, pop: 12 },
+    { geo: 'nor', time: 2000, gdp: 5, pop: 3 },
+    { geo: 'nor', time: 2001, gdp: 2, pop: 4 },
+], ['geo', 'time']);
+
+const values = (df, field, geo) => [...df.values()]
+    .filter(row => row.geo == geo)
+    .sort((a, b) => a.time - b.time)
+    .map(row => row[field]);
+
+describe('dataframe window', () => {
+
+    it('calculates rolling windows per partition', () => {
+        const result = df.window({ partitionBy: ['geo'], orderBy: 'time', fields: {
+            gdp_ma2: { rollingMean: { field: 'gdp', size: 2 } },
+            gdp_sum: { rollingSum: { field: 'gdp', size: 3 } }
+        } });
+        expect(values(result, 'gdp_ma2', 'swe')).toEqual([1, 1.5, 2, 4]);
+        expect(values(result, 'gdp_sum', 'swe')).toEqual([1, 3, 3, 6]);
+        expect(values(result, 'gdp_ma2', 'nor')).toEqual([5, 3.5]);
+    });
+
+    it('calculates cumulative values', () => {
+        const result = df.window({ orderBy: 'time', fields: {
+            pop_cum: { cumulativeSum: 'pop' },
+            gdp_max: { cumulativeMax: 'gdp' }
+        } });
+        expect(values(result, 'pop_cum', 'swe')).toEqual([10, 21, 33, 46]);
+        expect(values(result, 'gdp_max', 'nor')).toEqual([5, 5]);
+    });
+
+    it('lags and leads', () => {
+        const result = df.window({ partitionBy: ['geo'], orderBy: 'time', fields: {
+            pop_prev: { lag: 'pop' },
+            pop_next2: { lead: { field: 'pop', offset: 2, default: 0 } }
+        } });
+        expect(values(result, 'pop_prev', 'swe')).toEqual([null, 10, 11, 12]);
+        expect(values(result, 'pop_next2', 'swe')).toEqual([12, 13, 0, 0]);
+    });
+
+    it('ranks within partition', () => {
+        const result = df.window({ partitionBy: ['time'], fields: {
+            rank: { rank: { field: 'gdp', descending: true } }
+        } });
+        expect(result.get({ geo: 'nor', time: 2000 }).rank).toBe(1);
+        expect(result.get({ geo: 'swe', time: 2000 }).rank).toBe(2);
+        expect(result.get({ geo: 'swe', time: 2001 }).rank).toBe(1);
+        expect(result.get({ geo: 'nor', time: 2001 }).rank).toBe(1);
+        expect(result.get({ geo: 'swe', time: 2002 }).rank).toBeNull();
+    });
+
+    it('can overwrite the field it reads', () => {
+        const result = df.window({ orderBy: 'time', fields: { pop: { lag: 'pop' } } });
+        expect(values(result, 'pop', 'swe')).toEqual([null, 10, 11, 12]);
+        expect(values(df, 'pop', 'swe')).toEqual([10, 11, 12, 13]);
+    });
+
+    it('runs along frames of a frame-grouped dataframe', () => {
+        const group = df.groupBy('time', ['geo']);
+        const result = group.window({ fields: { pop_prev: { lag: 'pop' } } });
+        expect(result.type).toBe('Group');
+        expect(result.get('2001').get({ geo: 'swe' }).pop_prev).toBe(10);
+        expect(result.get('2001').get({ geo: 'nor' }).pop_prev).toBe(3);
+        expect(group.get('2001').get({ geo: 'swe' }).pop_prev).toBeUndefined();
+    });
+
+    it('throws on unknown window function', () => {
+        expect(() => df.window({ fields: { foo: { bar: 'pop' } } })).toThrow(/Unknown window function/);
+    });
+
+});
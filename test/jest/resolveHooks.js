@@ -0,0 +1,10 @@
+// resolve extensionless relative imports in src, like jest and rollup do, for code running outside of jest (e.g. in worker threads)
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code == 'ERR_MODULE_NOT_FOUND' && specifier.startsWith('.'))
+            return nextResolve(specifier + '.js', context);
+        throw error;
+    }
+}
@@ -0,0 +1,8 @@
+// worker_threads entry running the marker pipeline, like src/core/worker/worker_entry.js does in a Web Worker
+import { register } from 'node:module';
+import { parentPort } from 'node:worker_threads';
+
+register('./resolveHooks.js', import.meta.url);
+await import('./lib/d3.js');
+const { exposePipeline } = await import('../../src/core/worker/worker.js');
+exposePipeline(parentPort);
@@ -0,0 +1,72 @@
+import { csvReader } from '../../../src/reader/csv/csv';
+
+const files = {
+    'wide.csv': [
+        'geo,name,indicator,1990,1991',
+        'swe,Sweden,pop,8.5,8.6',
+        'swe,Sweden,lex,77.5,77.7',
+        'nor,Norway,pop,4.2,'
+    ].join('\n'),
+    'wide-gender.csv': [
+        'geo,gender,2000,2001',
+        'swe,male,77,77.2',
+        'swe,female,82,82.1'
+    ].join('\n'),
+    'repeated.csv': [
+        'geo,indicator,1990',
+        'swe,pop,8.5',
+        'swe,pop,8.6'
+    ].join('\n'),
+    'long.csv': [
+        'geo,time,pop',
+        'swe,1990,8.5',
+        'nor,1990,4.2'
+    ].join('\n')
+};
+const externalTextReader = path => Promise.resolve(files[path]);
+const read = (options, key, value) => csvReader({ externalTextReader, ...options }).read({ select: { key, value }, from: 'datapoints' });
+
+describe('csv reader', () => {
+
+    it('reads long table', async () => {
+        const response = await read({ path: 'long.csv', keyConcepts: ['geo', 'time'] }, ['geo', 'time'], ['pop']);
+        expect(response.get({ geo: 'nor', time: 1990 }).pop).toBe(4.2);
+    });
+
+    it('reads with deprecated exernalTextReader option', async () => {
+        const response = await csvReader({ path: 'long.csv', keyConcepts: ['geo', 'time'], exernalTextReader: externalTextReader })
+            .read({ select: { key: ['geo', 'time'], value: ['pop'] }, from: 'datapoints' });
+        expect(response.get({ geo: 'nor', time: 1990 }).pop).toBe(4.2);
+    });
+
+    it('reads wide table with name and indicator column', async () => {
+        const reader = csvReader({ path: 'wide.csv', externalTextReader, isTimeInColumns: true, hasNameColumn: true, dtypes: { time: 'year' } });
+        const response = await reader.read({ select: { key: ['geo', 'time'], value: ['name', 'pop', 'lex'] }, from: 'datapoints' });
+        expect(response.size).toBe(3);
+        expect(response.get({ geo: 'swe', time: new Date(Date.UTC(1991)) })).toMatchObject({ name: 'Sweden', pop: 8.6, lex: 77.7 });
+        expect(response.get({ geo: 'nor', time: new Date(Date.UTC(1990)) })).toMatchObject({ name: 'Norway', pop: 4.2, lex: null });
+
+        const schema = await reader.read({ select: { key: ['key', 'value'], value: [] }, from: 'datapoints.schema' });
+        expect([...schema.values()].map(row => row.value)).toEqual(['name', 'pop', 'lex']);
+        expect(schema.get({ key: ['geo', 'time'], value: 'pop' })).toBeDefined();
+    });
+
+    it('reads wide table with multiple key columns and without indicator column', async () => {
+        const options = { path: 'wide-gender.csv', isTimeInColumns: true, keySize: 2, timeConcept: 'year' };
+        const response = await read(options, ['geo', 'gender', 'year'], ['indicator']);
+        expect(response.get({ geo: 'swe', gender: 'female', year: 2001 }).indicator).toBe(82.1);
+        expect(response.size).toBe(4);
+    });
+
+    it('throws on wrong columns and repeated keys', async () => {
+        await expect(read({ path: 'wide-gender.csv', isTimeInColumns: true, indicatorColumn: null }, ['geo', 'time'], []))
+            .rejects.toMatchObject({ name: 'reader/error/wrongTimeUnitsOrColumn', message: expect.stringMatching(/^Column "gender" is not a time/) });
+        await expect(read({ path: 'wide.csv', isTimeInColumns: true }, ['geo', 'time'], []))
+            .rejects.toThrow('Column "indicator" is not a time.');
+        await expect(read({ path: 'wide.csv', isTimeInColumns: true, indicatorColumn: 'metric' }, ['geo', 'time'], []))
+            .rejects.toThrow('Indicator column "metric" not found. Use one of: geo, name, indicator, 1990, 1991.');
+        await expect(read({ path: 'repeated.csv', isTimeInColumns: true }, ['geo', 'time'], []))
+            .rejects.toMatchObject({ name: 'reader/error/repeatedKeys', message: 'Repeated key geo: swe for indicator "pop".' });
+    });
+
+});
@@ -0,0 +1,117 @@
+import { promises as fs } from 'fs';
+import { autorun } from 'mobx';
+import { ddfReader } from '../../../src/reader/ddf/ddf';
+import { marker } from '../../../src/core/marker/marker';
+import { dataSourceStore } from '../../../src/core/dataSource/dataSourceStore';
+import * as DDFCsvReader from 'vizabi-ddfcsv-reader';
+
+const DDFReadObject = DDFCsvReader.getDDFCsvReaderObject();
+dataSourceStore.createAndAddType('ddf', DDFReadObject);
+
+const path = 'test/ddf--jheeffer--mdtest';
+
+function createReader() {
+    const loaded = [];
+    const reader = ddfReader({
+        path,
+        externalTextReader: file => (loaded.push(file.split('/').pop()), fs.readFile(file, 'utf8'))
+    });
+    return { reader, loaded };
+}
+
+function dataMapWhenFulfilled(mrk) {
+    return new Promise(resolve => {
+        const destruct = autorun(() => {
+            if (mrk.state == 'fulfilled') {
+                const dataMap = mrk.dataMap;
+                setTimeout(destruct);
+                resolve(dataMap);
+            }
+        });
+    });
+}
+
+describe('ddf reader', () => {
+
+    it('answers schema queries from datapackage', async () => {
+        const { reader, loaded } = createReader();
+        const schema = await reader.read({ select: { key: ['key', 'value'], value: [] }, from: 'datapoints.schema' });
+        expect([...schema.values()]).toContainEqual(expect.objectContaining({ key: ['country', 'time'], value: 'life_expectancy' }));
+        expect(loaded).toEqual(['datapackage.json']);
+        await expect(reader.read({ select: { key: ['key', 'value'], value: [] }, from: 'foo.schema' })).rejects.toThrow(/Unknown schema query/);
+    });
+
+    it('reads concepts', async () => {
+        const { reader } = createReader();
+        const concepts = await reader.read({ select: { key: ['concept'], value: ['concept_type', 'domain'] }, from: 'concepts' });
+        expect(concepts.get({ concept: 'country' })).toMatchObject({ concept_type: 'entity_set', domain: 'geo' });
+        expect(concepts.get({ concept: 'time' }).concept_type).toBe('time');
+    });
+
+    it('reads entities of domains and sets', async () => {
+        const { reader } = createReader();
+        const geos = await reader.read({ select: { key: ['geo'], value: ['name', 'is--country'] }, from: 'entities' });
+        expect(geos.get({ geo: 'swe' })).toMatchObject({ name: 'Sweden', 'is--country': true });
+        expect(geos.has({ geo: 'europe' })).toBe(true);
+
+        const countries = await reader.read({
+            select: { key: ['country'], value: ['name'] },
+            from: 'entities',
+            where: { name: { $regex: '^Swe' } }
+        });
+        expect([...countries.values()].map(row => row.country)).toEqual(['swe']);
+    });
+
+    it('lazily loads resources of datapoints and resolves entity sets', async () => {
+        const { reader, loaded } = createReader();
+        const datapoints = await reader.read({
+            select: { key: ['country', 'time'], value: ['life_expectancy'] },
+            from: 'datapoints'
+        });
+        expect(datapoints.get({ country: 'swe', time: new Date(Date.UTC(2012)) }).life_expectancy).toBe(81.70488);
+        expect(datapoints.has({ country: 'world', time: new Date(Date.UTC(2012)) })).toBe(false);
+        expect(loaded.filter(file => file.includes('datapoints'))).toEqual(['ddf--datapoints--life_expectancy--by--geo--time.csv']);
+
+        const world = await reader.read({
+            select: { key: ['global', 'time'], value: ['life_expectancy'] },
+            from: 'datapoints'
+        });
+        expect([...world.values()].every(row => row.global == 'world')).toBe(true);
+        expect(loaded.filter(file => file == 'ddf--datapoints--life_expectancy--by--geo--time.csv')).toHaveLength(1);
+    });
+
+    it('resolves joins in where', async () => {
+        const { reader } = createReader();
+        const datapoints = await reader.read({
+            select: { key: ['geo', 'time'], value: ['population_total', 'life_expectancy'] },
+            from: 'datapoints',
+            where: { $and: [{ geo: '$geo' }, { time: { $gte: new Date(Date.UTC(2015)) } }] },
+            join: { $geo: { key: 'geo', where: { world_4region: 'europe', 'is--country': true } } }
+        });
+        const geos = new Set([...datapoints.values()].map(row => row.geo));
+        expect(geos.has('swe')).toBe(true);
+        expect(geos.has('chn')).toBe(false);
+        expect(datapoints.get({ geo: 'swe', time: new Date(Date.UTC(2016)) })).toMatchObject({ population_total: 9923085, life_expectancy: expect.any(Number) });
+    });
+
+    it('gives same marker data as vizabi-ddfcsv-reader', async () => {
+        const config = source => ({
+            data: { source, space: ['geo', 'gender', 'time'] },
+            encoding: {
+                size: { data: { concept: 'population_total' } },
+                y: { data: { concept: 'life_expectancy' } },
+                x: { data: { space: ['geo', 'time'], concept: 'income_per_person_gdppercapita_ppp_inflation_adjusted' } },
+                label: { data: { modelType: 'entityPropertyDataConfig', concept: 'name' } }
+            }
+        });
+        const external = marker(config({ path, modelType: 'ddf' }));
+        const native = marker(config({ path: path + '/datapackage.json', externalTextReader: file => fs.readFile(file, 'utf8') }));
+        const [expected, dataMap] = await Promise.all([dataMapWhenFulfilled(external), dataMapWhenFulfilled(native)]);
+        expect(dataMap.size).toBe(expected.size);
+        expect(dataMap.get({ geo: 'swe', gender: 'male', time: new Date(Date.UTC(2012)) }))
+            .toEqual(expected.get({ geo: 'swe', gender: 'male', time: new Date(Date.UTC(2012)) }));
+        external.dispose();
+        native.dispose();
+    });
+
+});
@@ -0,0 +1,66 @@
+import { jsonReader } from '../../../src/reader/json/json';
+import { dataSource } from '../../../src/core/dataSource/dataSource';
+
+const files = {
+    'data.json': JSON.stringify([
+        { geo: 'swe', year: '2000', stats: { population: 8.9, gdp: { total: 250 } }, tags: ['nordic'] },
+        { geo: 'nor', year: '2000', stats: { population: 4.5 } }
+    ]),
+    'data.ndjson': '{"geo":"swe","pop":8.9}\n\n{"geo":"nor","pop":4.5}\r\n',
+    'invalid.jsonl': '{"geo":"swe"}\n{"geo":\n',
+    'object.json': '{"geo":"swe"}'
+};
+const externalTextReader = path => path in files ? Promise.resolve(files[path]) : Promise.reject(new Error('Not found'));
+const query = (key, value) => ({ select: { key, value }, from: 'datapoints' });
+
+describe('json reader', () => {
+
+    it('reads JSON array and extracts nested fields', async () => {
+        const reader = jsonReader({
+            path: 'data.json',
+            externalTextReader,
+            keyConcepts: ['geo', 'year'],
+            dtypes: { year: 'year' },
+            fields: { pop: 'stats.population', gdp: 'stats.gdp.total' }
+        });
+        const response = await reader.read(query(['geo', 'year'], ['pop', 'gdp']));
+        expect(response.get({ geo: 'swe', year: new Date(Date.UTC(2000)) })).toMatchObject({ pop: 8.9, gdp: 250 });
+        expect(response.get({ geo: 'nor', year: new Date(Date.UTC(2000)) }).gdp).toBeNull();
+
+        const concepts = await reader.read({ select: { key: ['concept'], value: ['concept_type'] }, from: 'concepts' });
+        expect([...concepts.values()].map(row => row.concept)).toEqual(['geo', 'year', 'pop', 'gdp']);
+    });
+
+    it('reads NDJSON by extension or format', async () => {
+        const response = await jsonReader({ path: 'data.ndjson', externalTextReader, keyConcepts: ['geo'] }).read(query(['geo'], ['pop']));
+        expect([...response.values()]).toMatchObject([{ geo: 'swe', pop: 8.9 }, { geo: 'nor', pop: 4.5 }]);
+
+        const reader = jsonReader({ path: 'data.ndjson', format: 'json', externalTextReader, keyConcepts: ['geo'] });
+        await expect(reader.read(query(['geo'], ['pop']))).rejects.toMatchObject({ name: 'reader/error/invalidJson' });
+    });
+
+    it('throws descriptive errors', async () => {
+        const read = options => jsonReader({ externalTextReader, keyConcepts: ['geo'], ...options }).read(query(['geo'], []));
+        await expect(read({ path: 'invalid.jsonl' })).rejects.toThrow(/^Invalid JSON on line 2 of invalid.jsonl: /);
+        await expect(read({ path: 'object.json' })).rejects.toThrow('JSON in object.json should be an array of rows, got object.');
+        await expect(read({ path: 'data.json', format: 'xml' })).rejects.toThrow('Unknown format "xml". Use one of: json, ndjson.');
+        await expect(read({ path: 'missing.json' })).rejects.toMatchObject({ name: 'reader/error/fileNotFoundOrPermissionsOrEmpty', endpoint: 'missing.json' });
+    });
+
+    it('rejects unknown format of data source', async () => {
+        const source = dataSource({ path: 'data.json', format: 'xml', externalTextReader, keyConcepts: ['geo'] });
+        await expect(source.reader.read(query(['geo'], []))).rejects.toMatchObject({ name: 'reader/error/unknownFormat' });
+    });
+
+    it('is selected by data source path or format', () => {
+        expect(dataSource({ path: 'data/export.json' }).readerName).toBe('json');
+        expect(dataSource({ path: 'https://example.org/rows.jsonl?token=abc' }).readerName).toBe('json');
+        expect(dataSource({ path: 'data/export', format: 'ndjson' }).readerName).toBe('json');
+        expect(dataSource({ path: 'data/export.txt', format: 'csv' }).readerName).toBe('csv');
+        expect(dataSource({ path: 'data/export.json', format: 'csv' }).readerName).toBe('csv');
+        expect(dataSource({ path: 'data/export.csv', format: 'xml' }).readerName).toBe('json');
+        expect(dataSource({ path: 'data/export.csv', format: 'NDJSON' }).readerName).toBe('json');
+        expect(dataSource({ path: 'ddf/datapackage.json' }).readerName).toBe('datapackage');
+    });
+
+});
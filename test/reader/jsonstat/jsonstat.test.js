@@ -0,0 +1,82 @@
+import { promises as fs } from 'fs';
+import { autorun } from 'mobx';
+import { jsonstatReader, jsonstatToTables } from '../../../src/reader/jsonstat/jsonstat';
+import { marker } from '../../../src/core/marker/marker';
+
+const path = 'test/reader/jsonstat/population.json';
+const externalTextReader = path => fs.readFile(path, 'utf8');
+const reader = () => jsonstatReader({ path, externalTextReader });
+const year = year => new Date(Date.UTC(year));
+
+describe('jsonstat reader', () => {
+
+    it('converts dimensions to concepts, entities and schema', async () => {
+        const concepts = await reader().read({ select: { key: ['concept'], value: ['concept_type', 'name', 'unit'] }, from: 'concepts' });
+        expect(concepts.get({ concept: 'geo' })).toMatchObject({ concept_type: 'entity_domain', name: 'Country' });
+        expect(concepts.get({ concept: 'year' }).concept_type).toBe('time');
+        expect(concepts.get({ concept: 'lex' })).toMatchObject({ concept_type: 'measure', name: 'Life expectancy', unit: 'years' });
+
+        const entities = await reader().read({ select: { key: ['sex'], value: ['name'] }, from: 'entities' });
+        expect([...entities.values()]).toMatchObject([{ sex: 'M', name: 'Male' }, { sex: 'F', name: 'Female' }]);
+
+        const schema = await reader().read({ select: { key: ['key', 'value'], value: [] }, from: 'datapoints.schema' });
+        expect([...schema.values()]).toMatchObject([{ key: ['sex', 'geo', 'year'], value: 'pop' }, { key: ['sex', 'geo', 'year'], value: 'lex' }]);
+    });
+
+    it('reads datapoints with filters and joins', async () => {
+        const datapoints = await reader().read({
+            select: { key: ['geo', 'sex', 'year'], value: ['pop', 'lex'] },
+            from: 'datapoints',
+            where: { $and: [{ geo: '$geo' }, { year: { $gte: year(2001) } }] },
+            join: { $geo: { key: 'geo', where: { name: 'Norway' } } }
+        });
+        expect(datapoints.size).toBe(4);
+        expect(datapoints.get({ geo: 'nor', sex: 'F', year: year(2002) })).toMatchObject({ pop: 2.4, lex: 81.6 });
+        expect(datapoints.get({ geo: 'nor', sex: 'M', year: year(2002) })).toMatchObject({ pop: null, lex: 76.6 });
+        await expect(reader().read({ select: { key: ['geo', 'year'], value: ['pop'] }, from: 'datapoints' }))
+            .rejects.toThrow('Unknown datapoints key "geo, year". Use "sex, geo, year".');
+    });
+
+    it('reads sparse values and datasets without metric', () => {
+        const tables = jsonstatToTables({
+            version: '2.0', class: 'dataset', label: 'Births',
+            id: ['geo', 'time'], size: [2, 2],
+            role: { time: ['time'] },
+            dimension: {
+                geo: { category: { index: { swe: 0, nor: 1 } } },
+                time: { category: { index: ['2000M01', '2000M02'] } }
+            },
+            value: { 1: 10, 2: 20 }
+        }, { concept: 'births' });
+        expect(tables.concepts).toContainEqual({ concept: 'births', concept_type: 'measure', name: 'Births' });
+        expect(tables.entities.geo).toEqual([{ geo: 'swe', name: 'swe' }, { geo: 'nor', name: 'nor' }]);
+        expect(tables.datapoints.rows).toEqual([
+            { geo: 'swe', time: new Date(Date.UTC(2000, 1)), births: 10 },
+            { geo: 'nor', time: new Date(Date.UTC(2000, 0)), births: 20 }
+        ]);
+        expect(() => jsonstatToTables({ class: 'collection' }, { path: 'c.json' }))
+            .toThrow('No JSON-stat dataset found in c.json, got class "collection".');
+    });
+
+    it('gives marker data with availability and concepts from dataset', async () => {
+        const mrk = marker({
+            data: { source: { reader: 'jsonstat', path, externalTextReader }, space: ['geo', 'sex', 'year'] },
+            encoding: {
+                y: { data: { concept: 'lex' } },
+                label: { data: { modelType: 'entityPropertyDataConfig', concept: 'name' } }
+            }
+        });
+        const dataArray = await new Promise(resolve => {
+            const destruct = autorun(() => {
+                if (mrk.state == 'fulfilled') {
+                    resolve(mrk.dataArray);
+                    setTimeout(destruct);
+                }
+            });
+        });
+        expect(dataArray).toHaveLength(12);
+        expect(dataArray).toContainEqual(expect.objectContaining({ geo: 'swe', sex: 'F', year: year(2000), y: 82, label: { geo: 'Sweden', sex: 'Female' } }));
+        mrk.dispose();
+    });
+
+});
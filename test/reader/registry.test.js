@@ -0,0 +1,28 @@
+import { registerReader, createReader, hasReader } from '../../src/reader/registry';
+
+describe('reader registry', () => {
+
+    it('creates registered readers with config', () => {
+        registerReader('echo', config => ({ read: async () => [config] }));
+        expect(hasReader('echo')).toBe(true);
+        return expect(createReader('echo', { apiKey: 'abc' }).read()).resolves.toEqual([{ apiKey: 'abc' }]);
+    });
+
+    it('validates readers implement the reader interface', () => {
+        registerReader('noRead', () => ({ getAsset() {} }));
+        registerReader('badAsset', () => ({ read() {}, getAsset: 'assets/' }));
+        registerReader('noObject', () => null);
+        expect(() => createReader('noRead')).toThrow('Reader "noRead" should implement read as a function, got undefined.');
+        expect(() => createReader('badAsset')).toThrow('Reader "badAsset" should implement getAsset as a function, got string.');
+        expect(() => createReader('noObject')).toThrow('Reader "noObject" should be an object, got null.');
+        expect(() => createReader('foo')).toThrow(/^Unknown reader "foo". Use one of: inline, csv, datapackage, json, jsonstat, sdmx, echo/);
+        expect(() => registerReader('foo', {})).toThrow('Reader factory for "foo" should be a function, got object.');
+    });
+
+    it('has no readers named after object properties', () => {
+        expect(hasReader('toString')).toBe(false);
+        expect(hasReader('constructor')).toBe(false);
+        expect(() => createReader('toString')).toThrow(/^Unknown reader "toString"/);
+    });
+
+});
@@ -0,0 +1,51 @@
+import { promises as fs } from 'fs';
+import { sdmxReader, sdmxToTables } from '../../../src/reader/sdmx/sdmx';
+
+const path = 'test/reader/sdmx/population.json';
+const externalTextReader = path => fs.readFile(path, 'utf8');
+const quarter = (year, quarter) => new Date(Date.UTC(year, (quarter - 1) * 3));
+
+describe('sdmx reader', () => {
+
+    it('converts series data message to concepts, entities and datapoints', async () => {
+        const reader = sdmxReader({ path, externalTextReader });
+        const concepts = await reader.read({ select: { key: ['concept'], value: ['concept_type', 'name'] }, from: 'concepts' });
+        expect(concepts.get({ concept: 'REF_AREA' })).toMatchObject({ concept_type: 'entity_domain', name: 'Reference area' });
+        expect(concepts.get({ concept: 'TIME_PERIOD' }).concept_type).toBe('time');
+        expect(concepts.get({ concept: 'POPULATION' })).toMatchObject({ concept_type: 'measure', name: 'Population by sex' });
+
+        const entities = await reader.read({ select: { key: ['REF_AREA'], value: ['name'] }, from: 'entities' });
+        expect(entities.get({ REF_AREA: 'NO' }).name).toBe('Norway');
+
+        const datapoints = await reader.read({
+            select: { key: ['REF_AREA', 'SEX', 'TIME_PERIOD'], value: ['POPULATION'] },
+            from: 'datapoints',
+            where: { SEX: 'F' }
+        });
+        expect(datapoints.size).toBe(6);
+        expect(datapoints.get({ REF_AREA: 'SE', SEX: 'F', TIME_PERIOD: quarter(2000, 2) }).POPULATION).toBe(4550000);
+    });
+
+    it('reads flat observations of 2.0 messages', () => {
+        const tables = sdmxToTables({
+            data: {
+                dataSets: [{ structure: 0, observations: { '0:0': [5], '0:1': ['NaN'], '1:1': [7] } }],
+                structures: [{
+                    name: 'Births',
+                    dimensions: { observation: [
+                        { id: 'GEO', values: [{ id: 'SE', name: 'Sweden' }, { id: 'NO', name: 'Norway' }] },
+                        { id: 'YEAR', roles: ['TIME_PERIOD'], values: [{ id: '2000' }, { id: '2001' }] }
+                    ] },
+                    measures: { observation: [{ id: 'OBS_VALUE' }] }
+                }]
+            }
+        }, { concept: 'births' });
+        expect(tables.datapoints.key).toEqual(['GEO', 'YEAR']);
+        expect(tables.datapoints.rows).toEqual([
+            { GEO: 'SE', YEAR: new Date(Date.UTC(2000)), births: 5 },
+            { GEO: 'NO', YEAR: new Date(Date.UTC(2001)), births: 7 }
+        ]);
+        expect(() => sdmxToTables({ data: {} }, { path: 'empty.json' })).toThrow('No SDMX-JSON data set and structure found in empty.json.');
+    });
+
+});